@@ -36,15 +36,43 @@
  * or nested notation (e.g., CONFIG.sceneSetup.treeGeometry.height).
  * Both work identically via getter/setter properties.
  */
-export const CONFIG = {
+// animation.explosion.speed (deprecated) was a per-frame lerp factor at 60fps. A tween lasting as long
+// as that lerp took to cover 99% of the way looks about the same.
+const LEGACY_FRAME_MS = 1000 / 60;
+function legacySpeedToDuration(speed) {
+    const clamped = Math.min(0.99, Math.max(0.001, speed));
+    return Math.round(LEGACY_FRAME_MS * Math.log(0.01) / Math.log(1 - clamped));
+}
+function durationToLegacySpeed(duration) {
+    return duration > 0 ? 1 - Math.exp(Math.log(0.01) * LEGACY_FRAME_MS / duration) : 1;
+}
+
+// Defaults; every tree on the page works on its own copy (createConfig below)
+const DEFAULTS = {
     // ========================================
     // 1. SCENE SETUP
     // ========================================
     sceneSetup: {
+        seed: null,            // Random seed for tree layout, explosion field and image order (null = new seed each load, ?seed= overrides)
         treeGeometry: {
             height: 40,
             radius: 14,
             yOffset: 3,        // Shift the entire tree up (+) or down (-)
+            shape: 'cone',     // 'cone' | 'tiered' | 'spiral' | 'cylinder' | 'sphere' | 'custom'
+            // Per-shape parameters (missing values use the shape's defaults)
+            // innerFraction: inner edge of the particle shell as a fraction of radius (1 = surface only)
+            shapes: {
+                cone: { innerFraction: 0.6 },
+                tiered: { tiers: 5, taper: 0.45, overlap: 0.3, innerFraction: 0.7 },
+                spiral: { turns: 6, width: 0.25, innerFraction: 0.9 },
+                cylinder: { innerFraction: 0.6 },
+                sphere: { innerFraction: 0.6 },
+                custom: {
+                    innerFraction: 0.6,
+                    // [depth fraction from top, radius fraction] pairs, top to base
+                    profile: [[0, 0], [0.4, 0.55], [0.7, 0.75], [1, 1]],
+                },
+            },
         },
         camera: {
             position: {
@@ -58,6 +86,45 @@ export const CONFIG = {
                 zoom: 60,        // Zoom level (higher = closer)
                 angle: 35.26,    // Viewing angle in degrees (standard isometric is 35.26°)
             },
+            transition: {
+                duration: 800,   // Milliseconds to blend between the two views on explode/return (0 = instant switch)
+            },
+            // Scripted fly-throughs for the 'cinematic' interaction mode (always the perspective camera).
+            // Keyframes are joined by a Catmull-Rom spline; `duration` is milliseconds to the next keyframe.
+            // Looping paths wrap around to their first keyframe, the others hold their last one.
+            cinematic: {
+                blendDuration: 1500,     // Milliseconds to ease from the current view onto a newly started path
+                paths: {
+                    // While the tree is whole: a slow circle
+                    idle: {
+                        loop: true,
+                        keyframes: [
+                            { position: [0, 18, 50], target: [0, 3, 0], fov: 50, duration: 6000 },
+                            { position: [50, 24, 0], target: [0, 3, 0], fov: 50, duration: 6000 },
+                            { position: [0, 18, -50], target: [0, 3, 0], fov: 50, duration: 6000 },
+                            { position: [-50, 12, 0], target: [0, 3, 0], fov: 50, duration: 6000 },
+                        ],
+                    },
+                    // On explode (and while morphing): dive through the middle, then turn back to the image
+                    explode: {
+                        loop: false,
+                        keyframes: [
+                            { position: [0, 12, 40], target: [0, 3, 0], fov: 55, duration: 1000 },
+                            { position: [0, 4, 6], target: [0, 3, -30], fov: 80, duration: 1400 },
+                            { position: [12, 8, -45], target: [0, 3, 0], fov: 60, duration: 0 },
+                        ],
+                    },
+                    // While reforming: pull back out to where the idle circle starts
+                    return: {
+                        loop: false,
+                        keyframes: [
+                            { position: [35, 25, -35], target: [0, 3, 0], fov: 55, duration: 1000 },
+                            { position: [45, 22, 30], target: [0, 3, 0], fov: 50, duration: 1200 },
+                            { position: [0, 18, 50], target: [0, 3, 0], fov: 50, duration: 0 },
+                        ],
+                    },
+                },
+            },
         },
     },
 
@@ -65,12 +132,80 @@ export const CONFIG = {
     // 2. INTERACTION
     // ========================================
     interaction: {
+        mode: 'parallax',         // 'parallax' (mouse/drag tilts the tree), 'orbit' (drag orbits the camera) or 'cinematic' (camera follows sceneSetup.camera.cinematic)
         reassembleOnClick: true,  // Click while exploded to reassemble immediately
         resetMouseOnLeave: false, // Reset parallax to center when mouse leaves screen
+        // Individual ornaments: hover glow and 'particle:click' events (see js/core/bus.js)
+        picking: {
+            enabled: true,
+            hover: true,              // Glow the ornament under the mouse
+            glowIntensity: 1.5,       // Extra brightness at the top of the pulse
+            glowSpeed: 0.008,         // Pulse speed (radians per ms)
+            clickAction: 'explode',   // 'explode' (click still explodes), 'spin' (spin the ornament, CPU animation) or 'none' (event only)
+        },
         touch: {
             spinFriction: 0.95,              // How quickly horizontal spin slows (0.9 = fast, 0.99 = slow)
             verticalTiltSpringStrength: 0.08, // Spring constant for vertical tilt return (higher = snappier)
         },
+        // Unattended displays (?kiosk=1 also enables it): no settings, and attract mode when nobody is around
+        kiosk: {
+            enabled: false,
+            idleTimeout: 60000,       // Milliseconds without input before attract mode (re)starts
+            interval: 15000,          // Milliseconds the whole tree stays up between automatic explosions
+            imageInterval: 8000,      // Milliseconds per image while exploded (0 = one image per explosion)
+        },
+        // postMessage bridge for parent pages that iframe the tree (see js/bridge.js)
+        embed: {
+            allowedOrigins: [],       // e.g. ['https://portal.example.com']; empty = ignore all messages, '*' = any page
+        },
+        keyboard: {
+            enabled: true,
+            spinSpeed: 0.003,         // Spin pushed per frame while a spin key is held (coasts like a touch flick)
+            tiltSpeed: 0.03,          // Tilt pushed per frame while a tilt key is held (springs back on release)
+        },
+        // Key bindings: action -> KeyboardEvent.key (letters case-insensitive) or KeyboardEvent.code values
+        keys: {
+            toggle: ['Space', 'Enter'],       // Explode / reassemble
+            spinLeft: ['ArrowLeft'],
+            spinRight: ['ArrowRight'],
+            tiltUp: ['ArrowUp'],
+            tiltDown: ['ArrowDown'],
+            previousImage: ['['],
+            nextImage: [']'],
+            settings: ['s'],
+            fullscreen: ['f'],
+            help: ['?'],
+        },
+        orbit: {
+            rotateSpeed: 1,           // 1 = dragging the full screen height turns one full circle
+            damping: 0.1,             // Share of the remaining rotation applied per 60 fps frame (lower = longer glide)
+            minPolarAngle: 10,        // Degrees from straight above
+            maxPolarAngle: 100,       // Degrees from straight above (90 = level with the tree center)
+            autoRotate: true,
+            autoRotateSpeed: 0.15,    // Radians per second
+            autoRotateDelay: 5000,    // Milliseconds without input before auto-rotate starts
+        },
+        zoom: {
+            enabled: true,
+            min: 0.5,                 // Furthest zoom out (factor on the configured camera distance / Iso Zoom)
+            max: 3,                   // Closest zoom in
+            wheelSensitivity: 0.0008, // Zoom speed per wheel pixel
+            pinchSensitivity: 1,      // 1 = content follows the fingers
+            friction: 0.85,           // Inertia after a wheel flick or pinch release (0 = none, closer to 1 = longer)
+        },
+        gamepad: {
+            enabled: true,
+            deadzone: 0.15,           // Stick travel ignored around center (0-1)
+            spinSensitivity: 0.004,   // Spin pushed per frame at full left-stick deflection
+            tiltSensitivity: 0.03,    // Tilt pushed per frame at full deflection
+            invertY: false,
+            // Standard-mapping button indices: 0 = A, 4 = left shoulder, 5 = right shoulder
+            buttons: {
+                toggle: 0,
+                previousImage: 4,
+                nextImage: 5,
+            },
+        },
     },
 
     // ========================================
@@ -90,8 +225,42 @@ export const CONFIG = {
             floatAmount: 0.05,    // Wobble magnitude
         },
         explosion: {
-            speed: 0.12,          // Speed for explosion spread and return (0.01 = slow, 0.2 = fast)
-            holdDuration: 30000,  // Milliseconds before reforming
+            mode: 'tween',                  // 'tween' (durations/easings below) or 'physics' (see physics; CPU path only)
+            explodeDuration: 1200,          // Milliseconds to fly out to the explosion (or morph) targets
+            explodeEasing: 'easeOutBack',   // See js/animation/easing.js: 'linear', 'easeOutCubic', 'easeInOutCubic',
+                                            // 'easeOutExpo', 'easeOutBack', 'elastic', 'bounce'
+            holdDuration: 30000,            // Milliseconds to hold the explosion before reforming
+            returnDuration: 1500,           // Milliseconds to fly back into the tree
+            returnEasing: 'easeInOutCubic',
+            // Deprecated: the old lerp factor (0.01 = slow, 0.2 = fast); setting it sets both durations
+            get speed() { return durationToLegacySpeed(this.explodeDuration); },
+            set speed(v) {
+                console.warn('animation.explosion.speed is deprecated; use explodeDuration and returnDuration (milliseconds)');
+                this.explodeDuration = legacySpeedToDuration(v);
+                this.returnDuration = this.explodeDuration;
+            },
+        },
+        // Physics explosion mode: burst away from the tree, then springs settle particles into place
+        physics: {
+            impulse: 40,            // Initial burst speed away from the tree center (units/s)
+            impulseJitter: 0.5,     // Random variation of the burst speed (0 = every particle equal)
+            drag: 1.5,              // Air drag (1/s)
+            gravity: -20,           // Vertical acceleration during the burst (units/s²), fades as the spring takes over
+            spring: 10,             // Stiffness pulling particles into their explosion targets
+            settleTime: 1.5,        // Seconds for the target spring to reach full strength
+            settleDamping: 0.8,     // Damping ratio while settling (1 = no overshoot)
+            returnStiffness: 5,     // Natural frequency of the critically damped return spring (1/s)
+        },
+        // Per-particle start delays; explode and return are choreographed independently
+        // mode: 'none' | 'top-down' | 'bottom-up' | 'distance' (from the click) | 'group' (object definition) | 'random'
+        choreography: {
+            explode: { mode: 'none', spread: 800 },   // spread: milliseconds between the first and last particle
+            return: { mode: 'none', spread: 800 },
+        },
+        // Scripted shows: cue lists played from the animation clock (format in js/animation/sequencer.js)
+        timeline: {
+            url: null,           // Timeline JSON to load at startup, e.g. 'timelines/holiday-show.json' (?timeline= overrides)
+            autoplay: true,      // Start playing as soon as it has loaded
         },
         parallax: {
             idle: {
@@ -112,12 +281,33 @@ export const CONFIG = {
         explosionDistribution: {
             innerRadius: 30,         // Inner radius (prevents particles too close to camera)
             outerRadius: 50,         // Outer radius (maximum distance from center)
-            centerMode: 'tree',      // Center point: 'camera' or 'tree'
+            centerMode: 'tree',      // Center point: 'camera', 'tree' or 'pointer' (the clicked point)
             offset: {
                 x: 0,                // X offset from center point
                 y: -3,               // Y offset from center point
                 z: 0,                // Z offset from center point
             },
+            formation: 'shell',      // 'shell', 'ring', 'galaxy', 'heart', 'column' or 'text' (see js/particles/formations.js)
+            // Per-formation parameters; planar formations face the camera
+            formations: {
+                ring: { thickness: 2, tilt: 25 },
+                galaxy: { arms: 3, twist: 0.8, spread: 0.35, thickness: 3, tilt: 35 },
+                heart: { scale: 0.7, width: 2.5, depth: 4 },
+                column: { height: 90, radiusScale: 0.5 },
+                text: { text: 'MERRY XMAS', font: 'bold 120px Georgia, serif', scale: 1.2, depth: 3 },
+            },
+        },
+        morph: {
+            onExplosion: false,      // Click morphs into the next showcase image instead of exploding
+            source: 'auto',          // Pixel weight: 'alpha', 'luminance' or 'auto' (alpha if the image has transparency)
+            threshold: 0.15,         // Pixels weighted below this get no particles
+            invert: false,           // Sample dark pixels instead of bright ones
+            resolution: 128,         // Longest side of the sampling canvas in pixels
+            width: 50,               // Maximum image width in world units
+            height: 40,              // Maximum image height in world units
+            depth: 1,                // Random depth jitter
+            colorBlend: 1,           // 0 = keep material colors, 1 = take the sampled pixel colors
+            colorSpeed: 0.08,        // How quickly colors fade in/out
         },
     },
 
@@ -174,6 +364,29 @@ export const CONFIG = {
                 range: 30,         // Maximum distance this light reaches
             },
         },
+        // Named partial overrides of `lighting`, e.g. for timeline 'lighting' cues ('default' = the lighting above)
+        lightingPresets: {
+            warm: {
+                ambient: { color: 0xffe4c8, intensity: 0.6 },
+                keyLight: { color: 0xffbb77, intensity: 0.8 },
+                topGlow: { color: 0xffcc88, intensity: 3 },
+            },
+            cool: {
+                ambient: { color: 0xc8dcff, intensity: 0.6 },
+                keyLight: { color: 0xaaccff, intensity: 0.5 },
+                fillLight: { intensity: 0.4 },
+            },
+            night: {
+                ambient: { intensity: 0.25 },
+                overheadLight: { intensity: 0.2 },
+                topGlow: { intensity: 6 },
+            },
+            party: {
+                ambient: { color: 0xff99cc, intensity: 0.6 },
+                hemisphere: { intensity: 0.8 },
+                rimLight: { color: 0x66ffcc, intensity: 1.2 },
+            },
+        },
     },
 
     // ========================================
@@ -188,6 +401,7 @@ export const CONFIG = {
         performance: {
             performanceMode: false,  // true = optimized fake glass, false = full physical refraction
             uncapFPS: false,         // true = uncapped FPS, false = vsync-capped
+            gpuAnimation: false,     // true = explode/return animated in the vertex shader (best for 10k+ particles)
         },
     },
 
@@ -210,7 +424,7 @@ export const CONFIG = {
 
         // Animation speeds
         animation: {
-            scaleSpeed: 0.12,            // Tied to explosion speed - controls zoom in/out
+            scaleSpeed: 0.12,            // How quickly the box zooms in/out
             fadeSpeed: 0.08,             // How quickly image fades in/out
         },
 
@@ -224,6 +438,19 @@ export const CONFIG = {
         effects: {
             edgeSoftness: 0.4,           // Vignette strength: edge fade to transparent (0 = sharp, 1 = very soft)
         },
+
+        // Linked ornaments: chosen ornaments each carry one image of the set; clicking one zooms to it
+        // and unfolds its image from it (needs interaction.picking enabled)
+        linked: {
+            enabled: false,
+            objectTypes: ['present'],    // Object definition types that can carry an image
+            count: 0,                    // Ornaments to link (0 = one per image)
+            zoomDistance: 30,            // Camera distance from the ornament when zoomed in
+            orthoZoom: 2.5,              // Zoom factor for the isometric camera
+            focusSpeed: 0.08,            // How quickly the camera zooms in and back out
+            boxScale: 0.35,              // Box size relative to the regular showcase box
+            boxOffset: 12,               // How far in front of the ornament (toward the camera) the box settles
+        },
     },
 
     // ========================================
@@ -267,7 +494,7 @@ export const CONFIG = {
             type: 'present',
             count: 200,
             scale: 1.0,
-            color: 0xbaa6dff,
+            color: 0xaa6dff,
             materialType: 'satin',
         },
     ],
@@ -353,6 +580,10 @@ export const CONFIG = {
     // These getters/setters allow existing code to use flat notation (CONFIG.treeHeight)
     // while the actual values are stored in the nested structure above.
 
+    // Scene Setup - Seed
+    get seed() { return this.sceneSetup.seed; },
+    set seed(v) { this.sceneSetup.seed = v; },
+
     // Scene Setup - Tree Geometry
     get treeHeight() { return this.sceneSetup.treeGeometry.height; },
     set treeHeight(v) { this.sceneSetup.treeGeometry.height = v; },
@@ -363,6 +594,9 @@ export const CONFIG = {
     get treeYOffset() { return this.sceneSetup.treeGeometry.yOffset; },
     set treeYOffset(v) { this.sceneSetup.treeGeometry.yOffset = v; },
 
+    get treeShape() { return this.sceneSetup.treeGeometry.shape; },
+    set treeShape(v) { this.sceneSetup.treeGeometry.shape = v; },
+
     // Scene Setup - Camera Position
     get cameraX() { return this.sceneSetup.camera.position.x; },
     set cameraX(v) { this.sceneSetup.camera.position.x = v; },
@@ -386,9 +620,18 @@ export const CONFIG = {
     get isometricAngle() { return this.sceneSetup.camera.isometric.angle; },
     set isometricAngle(v) { this.sceneSetup.camera.isometric.angle = v; },
 
+    get cameraTransitionDuration() { return this.sceneSetup.camera.transition.duration; },
+    set cameraTransitionDuration(v) { this.sceneSetup.camera.transition.duration = v; },
+
     // Interaction
+    get interactionMode() { return this.interaction.mode; },
+    set interactionMode(v) { this.interaction.mode = v; },
+    get kioskMode() { return this.interaction.kiosk.enabled; },
+    set kioskMode(v) { this.interaction.kiosk.enabled = v; },
     get reassembleOnClick() { return this.interaction.reassembleOnClick; },
     set reassembleOnClick(v) { this.interaction.reassembleOnClick = v; },
+    get pickingEnabled() { return this.interaction.picking.enabled; },
+    set pickingEnabled(v) { this.interaction.picking.enabled = v; },
 
     get resetMouseOnLeave() { return this.interaction.resetMouseOnLeave; },
     set resetMouseOnLeave(v) { this.interaction.resetMouseOnLeave = v; },
@@ -408,12 +651,27 @@ export const CONFIG = {
     set idleFloatAmount(v) { this.animation.idle.floatAmount = v; },
 
     // Animation - Explosion
+    // Deprecated alias of animation.explosion.speed
     get animationSpeed() { return this.animation.explosion.speed; },
     set animationSpeed(v) { this.animation.explosion.speed = v; },
 
+    get explodeDuration() { return this.animation.explosion.explodeDuration; },
+    set explodeDuration(v) { this.animation.explosion.explodeDuration = v; },
+
+    get explosionMode() { return this.animation.explosion.mode; },
+    set explosionMode(v) { this.animation.explosion.mode = v; },
+    get explodeEasing() { return this.animation.explosion.explodeEasing; },
+    set explodeEasing(v) { this.animation.explosion.explodeEasing = v; },
+
     get holdDuration() { return this.animation.explosion.holdDuration; },
     set holdDuration(v) { this.animation.explosion.holdDuration = v; },
 
+    get returnDuration() { return this.animation.explosion.returnDuration; },
+    set returnDuration(v) { this.animation.explosion.returnDuration = v; },
+
+    get returnEasing() { return this.animation.explosion.returnEasing; },
+    set returnEasing(v) { this.animation.explosion.returnEasing = v; },
+
     // Animation - Parallax Idle
     get parallaxEnabled() { return this.animation.parallax.idle.enabled; },
     set parallaxEnabled(v) { this.animation.parallax.idle.enabled = v; },
@@ -465,6 +723,13 @@ export const CONFIG = {
     get explosionOffsetZ() { return this.animation.explosionDistribution.offset.z; },
     set explosionOffsetZ(v) { this.animation.explosionDistribution.offset.z = v; },
 
+    get explosionFormation() { return this.animation.explosionDistribution.formation; },
+    set explosionFormation(v) { this.animation.explosionDistribution.formation = v; },
+
+    // Animation - Image Morph
+    get morphOnExplosion() { return this.animation.morph.onExplosion; },
+    set morphOnExplosion(v) { this.animation.morph.onExplosion = v; },
+
     // Rendering - Post Processing
     get bloomStrength() { return this.rendering.postProcessing.bloom.strength; },
     set bloomStrength(v) { this.rendering.postProcessing.bloom.strength = v; },
@@ -483,6 +748,7 @@ export const CONFIG = {
 
     // Rendering - Lighting (return object reference for nested access)
     get lighting() { return this.rendering.lighting; },
+    get lightingPresets() { return this.rendering.lightingPresets; },
 
     // UI & Performance - Visibility
     get showGUI() { return this.ui.visibility.showGUI; },
@@ -501,6 +767,9 @@ export const CONFIG = {
     get uncapFPS() { return this.ui.performance.uncapFPS; },
     set uncapFPS(v) { this.ui.performance.uncapFPS = v; },
 
+    get gpuAnimation() { return this.ui.performance.gpuAnimation; },
+    set gpuAnimation(v) { this.ui.performance.gpuAnimation = v; },
+
     // Showcase
     get showcaseImageFolder() { return this.showcase.imageFolder; },
     set showcaseImageFolder(v) { this.showcase.imageFolder = v; },
@@ -518,3 +787,20 @@ export const CONFIG = {
     get touchVerticalTiltSpringStrength() { return this.interaction.touch?.verticalTiltSpringStrength ?? 0.08; },
     set touchVerticalTiltSpringStrength(v) { if (this.interaction.touch) this.interaction.touch.verticalTiltSpringStrength = v; },
 };
+
+// A fresh CONFIG for one tree. Accessors (the flat aliases, the deprecated explosion speed) are copied as
+// accessors, so they read and write the copy's own nested values.
+export function createConfig() {
+    return copySettings(DEFAULTS);
+}
+
+function copySettings(value) {
+    if (Array.isArray(value)) return value.map(copySettings);
+    if (value === null || typeof value !== 'object') return value;
+
+    const descriptors = Object.getOwnPropertyDescriptors(value);
+    Object.values(descriptors).forEach(descriptor => {
+        if ('value' in descriptor) descriptor.value = copySettings(descriptor.value);
+    });
+    return Object.defineProperties({}, descriptors);
+}
@@ -1,188 +1,330 @@
-// Animation loop and state machine
-
-let CONFIG = null;
-let animationState = "IDLE";
-
-// External references
-let particles = null;
-let testParticles = null;
-let treeGroup = null;
-let camera = null;
-let renderer = null;
-let composer = null;
-let scene = null;
-
-// Callbacks
-let updateFpsFn = null;
-let updateParallaxTargetsFn = null;
-let applyParallaxToGroupFn = null;
-let animateShowcaseBoxFn = null;
-let renderShowcaseFn = null;
-let getMouseFn = null;
-let getLastMouseMoveTimeFn = null;
-let updateCameraFn = null;
-
-export function initAnimation(configRef, context, callbacks) {
-    CONFIG = configRef;
-
-    particles = context.particles;
-    testParticles = context.testParticles;
-    treeGroup = context.treeGroup;
-    camera = context.camera;
-    renderer = context.renderer;
-    composer = context.composer;
-    scene = context.scene;
-
-    updateFpsFn = callbacks.updateFps;
-    updateParallaxTargetsFn = callbacks.updateParallaxTargets;
-    applyParallaxToGroupFn = callbacks.applyParallaxToGroup;
-    animateShowcaseBoxFn = callbacks.animateShowcaseBox;
-    renderShowcaseFn = callbacks.renderShowcase;
-    getMouseFn = callbacks.getMouse;
-    getLastMouseMoveTimeFn = callbacks.getLastMouseMoveTime;
-    updateCameraFn = callbacks.updateCamera;
-}
+// Animation loop and state machine, one per tree
+import * as THREE from 'three';
+import { updateParticleInstance } from '../particles/particles.js';
+import { getStateTween, tweenProgress } from './easing.js';
+import { getStateDelay } from './choreography.js';
+import { resetPhysics } from './physics.js';
+
+const FRAME_MS = 1000 / 60;
+const MAX_FRAME_DELTA = 6;
+const _physicsTarget = new THREE.Vector3();
+
+// `context` holds the scene objects plus the tree's bus (js/core/bus.js), gpu (js/animation/gpu.js),
+// morph (js/particles/morph.js) and physics (js/animation/physics.js)
+export function createAnimation(CONFIG, context, callbacks) {
+    let animationState = "IDLE";
+
+    // Tween tracking - every state change (or new targets) restarts the tween from the particles' current positions
+    let tweenState = null;
+    let retargeted = false;
+    let tweenStartTime = 0;
+    let tweenMaxDelay = 0;
+    let lastFrameTime = 0;
+    let frameDelta = 1;     // This frame's length in 60fps frames, for the per-frame click spin below
+
+    // External references
+    const { particles, testParticles, treeGroup, renderer, composer, scene, bus, gpu, morph, physics } = context;
+    let camera = context.camera;
+
+    // Callbacks
+    const updateFpsFn = callbacks.updateFps;
+    const updateParallaxTargetsFn = callbacks.updateParallaxTargets;
+    const applyParallaxToGroupFn = callbacks.applyParallaxToGroup;
+    const animateShowcaseBoxFn = callbacks.animateShowcaseBox;
+    const renderShowcaseFn = callbacks.renderShowcase;
+    const getMouseFn = callbacks.getMouse;
+    const getLastMouseMoveTimeFn = callbacks.getLastMouseMoveTime;
+    const updateCameraFn = callbacks.updateCamera;
+    const updatePickingFn = callbacks.updatePicking;
+    const updateLinkedFocusFn = callbacks.updateLinkedFocus;
+    const pollGamepadsFn = callbacks.pollGamepads;
+    const updateZoomFn = callbacks.updateZoom;
+    const updateOrbitFn = callbacks.updateOrbit;
+    const updateCinematicFn = callbacks.updateCinematic;
+    const updateCameraTransitionFn = callbacks.updateCameraTransition;
+    const updateSequencerFn = callbacks.updateSequencer;
+    const updateKioskFn = callbacks.updateKiosk;
+
+    // Pending frame, so the loop can be stopped
+    let running = false;
+    let frameRequest = null;
+    let frameTimeout = null;
+
+    function getAnimationState() {
+        return animationState;
+    }
 
-export function getAnimationState() {
-    return animationState;
-}
+    function setAnimationState(newState) {
+        const previous = animationState;
+        animationState = newState;
+        if (updateCameraFn) {
+            updateCameraFn(newState);
+        }
+        if (newState !== previous) {
+            bus.emit('state:change', { state: newState, previous });
+        }
+    }
 
-export function setAnimationState(newState) {
-    animationState = newState;
-    if (updateCameraFn) {
-        updateCameraFn(newState);
+    function updateCameraReference(cam) {
+        camera = cam;
     }
-}
 
-export function updateCameraReference(cam) {
-    camera = cam;
-}
+    // The explosion or morph targets changed without a state change; tween there from where the particles are
+    function restartParticleTweens() {
+        retargeted = true;
+    }
 
-export function startAnimationLoop() {
-    animate();
-}
+    function startAnimationLoop() {
+        running = true;
+        animate();
+    }
 
-function animate() {
-    if (CONFIG.uncapFPS) {
-        setTimeout(animate, 0);
-    } else {
-        requestAnimationFrame(animate);
+    // Nothing is animated or drawn after this (the tree is being taken down)
+    function stopAnimationLoop() {
+        running = false;
+        cancelAnimationFrame(frameRequest);
+        clearTimeout(frameTimeout);
     }
 
-    const time = Date.now();
+    function animate() {
+        if (!running) return;
+        if (CONFIG.uncapFPS) {
+            frameTimeout = setTimeout(animate, 0);
+        } else {
+            frameRequest = requestAnimationFrame(animate);
+        }
 
-    // Update FPS
-    if (updateFpsFn) {
-        updateFpsFn(CONFIG.showFPS);
-    }
+        const time = Date.now();
 
-    // Update parallax targets and apply to tree group
-    if (updateParallaxTargetsFn && applyParallaxToGroupFn) {
-        updateParallaxTargetsFn(animationState);
-        applyParallaxToGroupFn(treeGroup);
-    }
+        // Update FPS
+        if (updateFpsFn) {
+            updateFpsFn(CONFIG.showFPS);
+        }
 
-    // Animate showcase box
-    if (animateShowcaseBoxFn && getMouseFn && getLastMouseMoveTimeFn) {
-        animateShowcaseBoxFn(camera, getMouseFn(), getLastMouseMoveTimeFn());
-    }
+        // Gamepad input feeds the spin/tilt below
+        if (pollGamepadsFn) {
+            pollGamepadsFn();
+        }
 
-    // Animate particles
-    const allReturned = animateParticles(time);
+        // Timeline cues fire before this frame's state is animated
+        if (updateSequencerFn) {
+            updateSequencerFn(time);
+        }
 
-    // Transition to IDLE when all particles have returned
-    if (animationState === "RETURNING" && allReturned) {
-        setAnimationState("IDLE");
-    }
+        // Attract mode explodes and cycles images on its own when nobody is around
+        if (updateKioskFn) {
+            updateKioskFn();
+        }
 
-    // Render
-    if (renderShowcaseFn) {
-        renderShowcaseFn(renderer, scene, camera, composer);
-    }
-}
+        // Update parallax targets and apply to tree group
+        if (updateParallaxTargetsFn && applyParallaxToGroupFn) {
+            updateParallaxTargetsFn(animationState);
+            applyParallaxToGroupFn(treeGroup);
+        }
 
-function animateParticles(time) {
-    let allReturned = true;
+        // Wheel/pinch zoom, before the linked-ornament focus so that wins while open
+        if (updateZoomFn) {
+            updateZoomFn();
+        }
 
-    // Animate tree particles
-    particles.forEach((p, index) => {
-        animateSingleParticle(p, index, time);
+        // Orbit mode places the cameras itself (after zoom, which it reads)
+        if (updateOrbitFn) {
+            updateOrbitFn();
+        }
 
-        if (animationState === "RETURNING") {
-            const dist = p.position.distanceTo(p.userData.originalPos);
-            if (dist > 0.1) {
-                allReturned = false;
-            }
+        // Cinematic paths override both of the above while playing
+        if (updateCinematicFn) {
+            updateCinematicFn(time);
+        }
+
+        // Perspective/isometric blend follows both cameras, so it goes after everything that moves them
+        if (updateCameraTransitionFn) {
+            updateCameraTransitionFn(time);
         }
-    });
 
-    // Animate test particles (same logic as tree particles)
-    testParticles.forEach((p, index) => {
-        animateSingleParticle(p, index, time);
+        // Zoom toward (or back from) a clicked linked ornament
+        if (updateLinkedFocusFn) {
+            updateLinkedFocusFn(camera);
+        }
 
-        if (animationState === "RETURNING") {
-            const dist = p.position.distanceTo(p.userData.originalPos);
-            if (dist > 0.1) {
-                allReturned = false;
-            }
+        // Animate showcase box
+        if (animateShowcaseBoxFn && getMouseFn && getLastMouseMoveTimeFn) {
+            animateShowcaseBoxFn(camera, getMouseFn(), getLastMouseMoveTimeFn());
         }
-    });
 
-    return allReturned;
-}
+        // Animate particles
+        const allReturned = animateParticles(time);
+        morph.animateMorphColors([particles, testParticles], animationState, CONFIG, time);
 
-function animateSingleParticle(p, index, time) {
-    // Constant gentle rotation for all states
-    p.rotation.x += p.userData.rotSpeed.x;
-    p.rotation.y += p.userData.rotSpeed.y;
-    p.rotation.z += p.userData.rotSpeed.z;
-
-    if (animationState === "IDLE") {
-        // Gentle floating motion
-        const floatOffset = Math.sin(time * CONFIG.idleFloatSpeed + index * 0.1) * CONFIG.idleFloatAmount;
-        p.position.y = p.userData.originalPos.y + floatOffset;
-        p.position.x = p.userData.originalPos.x;
-        p.position.z = p.userData.originalPos.z;
+        // Hover highlight goes on top of the morph colors
+        if (updatePickingFn) {
+            updatePickingFn(time);
+        }
+
+        // Transition to IDLE when all particles have returned
+        if (animationState === "RETURNING" && allReturned) {
+            setAnimationState("IDLE");
+        }
+
+        // Render
+        if (renderShowcaseFn) {
+            renderShowcaseFn(renderer, scene, camera, composer);
+        }
+    }
+
+    // Returns true once a return tween has completed
+    function animateParticles(time) {
+        // GPU path: only the shared uniforms advance, the vertex shader moves the particles
+        if (CONFIG.gpuAnimation) {
+            retargeted = false;  // gpu.js tracks its own target swaps
+            const mouse = getMouseFn ? getMouseFn() : { x: 0, y: 0 };
+            return gpu.updateGpuAnimation(animationState, time, mouse, [particles, testParticles], CONFIG);
+        }
+
+        // Real frame time for the physics integration (0 on the first frame)
+        const dt = lastFrameTime ? (time - lastFrameTime) / 1000 : 0;
+        frameDelta = lastFrameTime ? Math.min((time - lastFrameTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastFrameTime = time;
+
+        if (animationState !== tweenState || retargeted) {
+            // Physics bodies keep their momentum toward new targets; only a new state starts a fresh burst
+            if (animationState !== tweenState) resetPhysics([particles, testParticles]);
+            tweenState = animationState;
+            retargeted = false;
+            tweenStartTime = time;
+            tweenMaxDelay = 0;
+            [particles, testParticles].forEach(list => list.forEach(p => {
+                p.userData.tweenStart.copy(p.position);
+                tweenMaxDelay = Math.max(tweenMaxDelay, getStateDelay(p, animationState));
+            }));
+        }
+
+        const { duration, easing } = getStateTween(animationState, CONFIG);
+        const physics = CONFIG.explosionMode === 'physics' && animationState !== "IDLE";
+        let allSettled = true;
+
+        // Each particle's tween (or physics burst) starts after its choreography delay
+        const animateList = list => list.forEach((p, index) => {
+            const startTime = tweenStartTime + getStateDelay(p, animationState);
+            if (physics) {
+                if (!animatePhysicsParticle(p, time, startTime, dt)) allSettled = false;
+            } else {
+                const tween = tweenProgress(time, startTime, duration, easing);
+                animateSingleParticle(p, index, time, tween.eased);
+            }
+            updateParticleInstance(p);
+        });
+
+        // Animate tree particles, then test particles (same logic)
+        animateList(particles);
+        animateList(testParticles);
+
+        if (animationState !== "RETURNING") return false;
+        if (physics) return allSettled && time >= tweenStartTime + tweenMaxDelay;
+        return time >= tweenStartTime + tweenMaxDelay + duration;
     }
-    else if (animationState === "EXPLODING") {
-        const mouse = getMouseFn ? getMouseFn() : { x: 0, y: 0 };
 
-        // Calculate parallax offset based on mouse position (if enabled)
-        if (CONFIG.explodedParallaxEnabled) {
+    function spinParticle(p) {
+        // Constant gentle rotation for all states
+        p.rotation.x += p.userData.rotSpeed.x;
+        p.rotation.y += p.userData.rotSpeed.y;
+        p.rotation.z += p.userData.rotSpeed.z;
+
+        // Faster rotation when exploding
+        if (animationState === "EXPLODING") {
+            p.rotation.x += 0.02;
+            p.rotation.y += 0.01;
+        }
+
+        // Clicked ornaments spin fast and wind down (the same over the same time at any frame rate)
+        if (p.userData.spinBoost) {
+            p.rotation.y += p.userData.spinBoost * frameDelta;
+            p.userData.spinBoost *= Math.pow(0.97, frameDelta);
+            if (p.userData.spinBoost < 0.001) p.userData.spinBoost = 0;
+        }
+    }
+
+    // Ease each particle's own parallax shift toward the mouse while exploded, fade it otherwise
+    function updateIndividualParallax(p) {
+        if (animationState === "EXPLODING" && CONFIG.explodedParallaxEnabled) {
+            const mouse = getMouseFn ? getMouseFn() : { x: 0, y: 0 };
             const parallaxX = mouse.x * CONFIG.explodedParallaxStrength * p.userData.baseParallaxSensitivity;
             const parallaxY = mouse.y * CONFIG.explodedParallaxStrength * p.userData.baseParallaxSensitivity;
             p.userData.individualParallaxShift.x += (parallaxX - p.userData.individualParallaxShift.x) * 0.08;
             p.userData.individualParallaxShift.y += (parallaxY - p.userData.individualParallaxShift.y) * 0.08;
         } else {
-            p.userData.individualParallaxShift.x *= 0.95;
-            p.userData.individualParallaxShift.y *= 0.95;
+            p.userData.individualParallaxShift.multiplyScalar(0.95);
         }
+    }
 
-        // Calculate target position with parallax applied
-        const targetX = p.userData.explosionTarget.x + p.userData.individualParallaxShift.x;
-        const targetY = p.userData.explosionTarget.y + p.userData.individualParallaxShift.y;
-        const targetZ = p.userData.explosionTarget.z;
-
-        // Lerp toward parallax-adjusted target
-        p.position.x += (targetX - p.position.x) * CONFIG.animationSpeed;
-        p.position.y += (targetY - p.position.y) * CONFIG.animationSpeed;
-        p.position.z += (targetZ - p.position.z) * CONFIG.animationSpeed;
-
-        // Add subtle floating motion on top
-        const floatOffset = Math.sin(time * CONFIG.idleFloatSpeed * 2 + index * 0.1) * CONFIG.idleFloatAmount;
-        p.position.x += Math.sin(time * 0.001 + index) * 0.01;
-        p.position.y += floatOffset;
-        p.position.z += Math.cos(time * 0.001 + index) * 0.01;
+    // Physics mode: the particle flies under impulse, drag, gravity and springs instead of a tween.
+    // Returns true once a returning particle has come to rest at home.
+    function animatePhysicsParticle(p, time, startTime, dt) {
+        spinParticle(p);
+        updateIndividualParallax(p);
+
+        let target = p.userData.originalPos;
+        if (animationState === "EXPLODING") {
+            target = _physicsTarget.copy(p.userData.explosionTarget);
+            target.x += p.userData.individualParallaxShift.x;
+            target.y += p.userData.individualParallaxShift.y;
+        } else if (animationState === "MORPHING") {
+            target = p.userData.morphTarget || p.userData.explosionTarget;
+        }
 
-        // Faster rotation when exploding
-        p.rotation.x += 0.02;
-        p.rotation.y += 0.01;
+        const elapsed = (time - startTime) / 1000;
+        return physics.stepPhysicsParticle(p, animationState, target, elapsed >= 0, elapsed, dt, CONFIG);
     }
-    else if (animationState === "RETURNING") {
-        // Return to original tree position using same animation speed
-        p.position.lerp(p.userData.originalPos, CONFIG.animationSpeed);
 
-        // Fade out parallax shift
-        p.userData.individualParallaxShift.multiplyScalar(0.95);
+    // `progress` is the eased tween progress of the current state (0 = where the state began)
+    function animateSingleParticle(p, index, time, progress) {
+        spinParticle(p);
+        updateIndividualParallax(p);
+
+        if (animationState === "IDLE") {
+            // Gentle floating motion
+            const floatOffset = Math.sin(time * CONFIG.idleFloatSpeed + index * 0.1) * CONFIG.idleFloatAmount;
+            p.position.y = p.userData.originalPos.y + floatOffset;
+            p.position.x = p.userData.originalPos.x;
+            p.position.z = p.userData.originalPos.z;
+            p.userData.velocity.set(0, 0, 0);
+        }
+        else if (animationState === "EXPLODING") {
+            // Calculate target position with parallax applied
+            const targetX = p.userData.explosionTarget.x + p.userData.individualParallaxShift.x;
+            const targetY = p.userData.explosionTarget.y + p.userData.individualParallaxShift.y;
+            const targetZ = p.userData.explosionTarget.z;
+
+            // Tween from where the explosion began toward the parallax-adjusted target
+            const start = p.userData.tweenStart;
+            p.position.set(
+                start.x + (targetX - start.x) * progress,
+                start.y + (targetY - start.y) * progress,
+                start.z + (targetZ - start.z) * progress,
+            );
+
+            // Add subtle floating motion on top
+            const floatOffset = Math.sin(time * CONFIG.idleFloatSpeed * 2 + index * 0.1) * CONFIG.idleFloatAmount;
+            p.position.x += Math.sin(time * 0.001 + index) * 0.01;
+            p.position.y += floatOffset;
+            p.position.z += Math.cos(time * 0.001 + index) * 0.01;
+        }
+        else if (animationState === "MORPHING") {
+            // Settle onto the image without individual parallax so the picture stays readable
+            p.position.lerpVectors(p.userData.tweenStart, p.userData.morphTarget || p.userData.explosionTarget, progress);
+        }
+        else if (animationState === "RETURNING") {
+            // Tween back to the original tree position
+            p.position.lerpVectors(p.userData.tweenStart, p.userData.originalPos, progress);
+        }
     }
+
+    return {
+        getAnimationState,
+        setAnimationState,
+        updateCameraReference,
+        restartParticleTweens,
+        startAnimationLoop,
+        stopAnimationLoop,
+    };
 }
@@ -0,0 +1,87 @@
+// Explosion choreography: per-particle start delays so the explode/return tweens ripple through the tree
+import * as THREE from 'three';
+
+const _raycaster = new THREE.Raycaster();
+const _plane = new THREE.Plane();
+const _normal = new THREE.Vector3();
+const _center = new THREE.Vector3();
+
+// Each mode maps a particle to a 0..1 key; delay = key * spread
+const modes = {
+    'none': () => 0,
+    'top-down': (p, bounds) => (bounds.maxY - p.userData.originalPos.y) / bounds.rangeY,
+    'bottom-up': (p, bounds) => (p.userData.originalPos.y - bounds.minY) / bounds.rangeY,
+    'distance': (p, bounds) => (bounds.distances.get(p) - bounds.minDistance) / bounds.rangeDistance,
+    'group': (p, bounds) => bounds.groupRanks.get(p.objectIndex) / bounds.groupSpan,
+    'random': p => p.userData.randomStagger,
+};
+
+export function getChoreographyModes() {
+    return Object.keys(modes);
+}
+
+// Delay (ms) of the tween a particle runs in `animationState`
+export function getStateDelay(p, animationState) {
+    if (animationState === 'EXPLODING' || animationState === 'MORPHING') return p.userData.explodeDelay;
+    if (animationState === 'RETURNING') return p.userData.returnDelay;
+    return 0;
+}
+
+// Bounds shared by all particles so the keys span 0..1 across the whole scene
+function computeBounds(all, phase, origin, CONFIG) {
+    const bounds = {
+        minY: Infinity, maxY: -Infinity,
+        distances: new Map(), minDistance: Infinity, maxDistance: 0,
+        groupRanks: new Map(),
+    };
+
+    all.forEach(p => {
+        bounds.minY = Math.min(bounds.minY, p.userData.originalPos.y);
+        bounds.maxY = Math.max(bounds.maxY, p.userData.originalPos.y);
+
+        // Explode ripples out from where the particles sit in the tree, return from where they are now
+        // (the GPU path never moves p.position, so use the target it flew to)
+        let from = p.position;
+        if (phase === 'explode') from = p.userData.originalPos;
+        else if (CONFIG.gpuAnimation) from = p.userData.explosionTarget;
+        const distance = from.distanceTo(origin);
+        bounds.distances.set(p, distance);
+        bounds.minDistance = Math.min(bounds.minDistance, distance);
+        bounds.maxDistance = Math.max(bounds.maxDistance, distance);
+    });
+    bounds.rangeY = Math.max(bounds.maxY - bounds.minY, 1e-6);
+    bounds.rangeDistance = Math.max(bounds.maxDistance - bounds.minDistance, 1e-6);
+
+    // Groups go in object definition order; test particles (-1) come first
+    const groups = [...new Set(all.map(p => p.objectIndex))].sort((a, b) => a - b);
+    groups.forEach((objectIndex, rank) => bounds.groupRanks.set(objectIndex, rank));
+    bounds.groupSpan = Math.max(groups.length - 1, 1);
+
+    return bounds;
+}
+
+// Set each particle's delay for one phase ('explode' or 'return').
+// `origin` is the tree-space point distance mode ripples from (null = tree center).
+export function applyChoreography(particleLists, phase, origin, CONFIG) {
+    const settings = CONFIG.animation.choreography[phase];
+    const key = modes[settings.mode] || modes.none;
+    const delayKey = phase === 'explode' ? 'explodeDelay' : 'returnDelay';
+    const all = particleLists.flat();
+    const bounds = computeBounds(all, phase, origin || _center.set(0, 0, 0), CONFIG);
+
+    all.forEach(p => {
+        p.userData[delayKey] = key(p, bounds) * settings.spread;
+    });
+}
+
+// Tree-space point under a pointer (NDC), on the plane through the tree center facing the camera
+export function pointerToTreeSpace(pointer, camera, treeGroup) {
+    treeGroup.getWorldPosition(_center);
+    camera.getWorldDirection(_normal).negate();
+    _plane.setFromNormalAndCoplanarPoint(_normal, _center);
+
+    _raycaster.setFromCamera(pointer, camera);
+    const hit = new THREE.Vector3();
+    if (!_raycaster.ray.intersectPlane(_plane, hit)) return null;
+    return treeGroup.worldToLocal(hit);
+}
@@ -0,0 +1,61 @@
+// Named easing curves for the explode/return tweens
+// Each maps linear progress t in [0, 1] to eased progress; overshooting curves may leave [0, 1].
+
+function easeOutBounce(t) {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+}
+
+export const easings = {
+    linear: t => t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutExpo: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeOutBack: (t) => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    elastic: (t) => {
+        if (t <= 0 || t >= 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    },
+    bounce: easeOutBounce,
+};
+
+export function getEasingNames() {
+    return Object.keys(easings);
+}
+
+const warnedEasings = new Set();
+
+export function getEasing(name) {
+    if (!easings[name]) {
+        // Looked up every frame, so only warn the first time
+        if (!warnedEasings.has(name)) {
+            warnedEasings.add(name);
+            console.warn(`Unknown easing: ${name}, falling back to linear`);
+        }
+        return easings.linear;
+    }
+    return easings[name];
+}
+
+// Duration and easing of the tween that runs in `animationState`
+// (EXPLODING and MORPHING fly out, RETURNING flies home)
+export function getStateTween(animationState, CONFIG) {
+    if (animationState === 'RETURNING') {
+        return { duration: CONFIG.returnDuration, easing: CONFIG.returnEasing };
+    }
+    return { duration: CONFIG.explodeDuration, easing: CONFIG.explodeEasing };
+}
+
+// Eased progress of a tween that started at `startTime` and lasts `duration` ms
+export function tweenProgress(time, startTime, duration, easingName) {
+    const t = duration > 0 ? Math.min(1, Math.max(0, (time - startTime) / duration)) : 1;
+    return { t, eased: getEasing(easingName)(t) };
+}
@@ -0,0 +1,278 @@
+// GPU animation path: explode/return, float and individual parallax run in the vertex shader
+import * as THREE from 'three';
+import { getEasingNames, getStateTween, tweenProgress } from './easing.js';
+import { getStateDelay } from './choreography.js';
+
+const FRAME_MS = 1000 / 60;          // Per-frame smoothing below is converted to elapsed time
+const PARALLAX_SMOOTHING = 0.08;     // Matches the per-frame individual parallax lerp in animateSingleParticle()
+
+// GLSL versions of the easings in easing.js, selected by index
+const glslEasings = {
+    linear: 't',
+    easeOutCubic: '1.0 - pow(1.0 - t, 3.0)',
+    easeInOutCubic: 't < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0',
+    easeOutExpo: 't >= 1.0 ? 1.0 : 1.0 - pow(2.0, -10.0 * t)',
+    easeOutBack: '1.0 + 2.70158 * (t - 1.0) * (t - 1.0) * (t - 1.0) + 1.70158 * (t - 1.0) * (t - 1.0)',
+    elastic: '(t <= 0.0 || t >= 1.0) ? t : pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * 2.0943951) + 1.0',
+    bounce: 'gpuBounce(t)',
+};
+
+const easingFunction = `
+float gpuBounce(float t) {
+    if (t < 1.0 / 2.75) return 7.5625 * t * t;
+    if (t < 2.0 / 2.75) { t -= 1.5 / 2.75; return 7.5625 * t * t + 0.75; }
+    if (t < 2.5 / 2.75) { t -= 2.25 / 2.75; return 7.5625 * t * t + 0.9375; }
+    t -= 2.625 / 2.75;
+    return 7.5625 * t * t + 0.984375;
+}
+
+float gpuEase(int easing, float t) {
+${getEasingNames().map((name, i) => `    if (easing == ${i}) return ${glslEasings[name] || 't'};`).join('\n')}
+    return t;
+}
+`;
+
+const vertexHeader = `
+attribute vec3 aOriginalPos;
+attribute vec3 aExplosionTarget;
+attribute vec3 aRotation;
+attribute vec3 aRotSpeed;
+attribute float aParallaxSensitivity;
+attribute float aPhase;
+attribute float aScale;
+attribute float aDelay;          // Choreography delay of the current tween (ms)
+attribute float aStartProgress;  // Progress when the current tween began
+attribute vec3 aFromPos;         // Position when the current tween began (without parallax)
+
+uniform float uTime;
+uniform float uElapsed;
+uniform float uDuration;
+uniform int uEasing;
+uniform float uTowardTarget;
+uniform float uFloatSpeed;
+uniform float uFloatAmount;
+uniform vec2 uParallax;
+uniform vec2 uSpin;
+
+// Euler XYZ rotation, same order as THREE.Euler's default
+mat3 gpuRotationMatrix(vec3 r) {
+    float cx = cos(r.x), sx = sin(r.x);
+    float cy = cos(r.y), sy = sin(r.y);
+    float cz = cos(r.z), sz = sin(r.z);
+    mat3 rx = mat3(1.0, 0.0, 0.0, 0.0, cx, sx, 0.0, -sx, cx);
+    mat3 ry = mat3(cy, 0.0, -sy, 0.0, 1.0, 0.0, sy, 0.0, cy);
+    mat3 rz = mat3(cz, sz, 0.0, -sz, cz, 0.0, 0.0, 0.0, 1.0);
+    return rx * ry * rz;
+}
+` + easingFunction;
+
+const normalChunk = `
+#include <beginnormal_vertex>
+mat3 gpuRotation = gpuRotationMatrix(aRotation + aRotSpeed * uTime * 60.0 + vec3(uSpin, 0.0));
+objectNormal = gpuRotation * objectNormal;
+`;
+
+const positionChunk = `
+#include <begin_vertex>
+float gpuT = uDuration > 0.0 ? clamp((uElapsed - aDelay) / uDuration, 0.0, 1.0) : 1.0;
+float gpuEased = gpuEase(uEasing, gpuT);
+float gpuProgress = uTowardTarget > 0.5
+    ? aStartProgress + (1.0 - aStartProgress) * gpuEased
+    : aStartProgress * (1.0 - gpuEased);
+vec3 gpuEnd = uTowardTarget > 0.5 ? aExplosionTarget : aOriginalPos;
+vec3 gpuOffset = mix(aFromPos, gpuEnd, gpuEased) + vec3(uParallax * aParallaxSensitivity, 0.0) * gpuProgress;
+// Idle float, twice as fast once exploded
+gpuOffset.y += sin(uTime * 1000.0 * uFloatSpeed * (1.0 + gpuProgress) + aPhase) * uFloatAmount;
+transformed = gpuRotation * (transformed * aScale) + gpuOffset;
+`;
+
+// Give an InstancedMesh its own geometry (sharing the vertex buffers) and fill the instance attributes.
+// Instance matrices stay identity - the shader places, rotates and scales each instance.
+export function setGpuInstanceAttributes(mesh, groupParticles, indexOffset) {
+    const source = mesh.geometry;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(source.index);
+    Object.entries(source.attributes).forEach(([name, attribute]) => {
+        geometry.setAttribute(name, attribute);
+    });
+    mesh.geometry = geometry;
+    mesh.userData.ownsGeometry = true;
+
+    const count = groupParticles.length;
+    const originalPos = new Float32Array(count * 3);
+    const rotation = new Float32Array(count * 3);
+    const rotSpeed = new Float32Array(count * 3);
+    const parallaxSensitivity = new Float32Array(count);
+    const phase = new Float32Array(count);
+    const scale = new Float32Array(count);
+
+    groupParticles.forEach((p, i) => {
+        p.userData.originalPos.toArray(originalPos, i * 3);
+        rotation.set([p.rotation.x, p.rotation.y, p.rotation.z], i * 3);
+        rotSpeed.set([p.userData.rotSpeed.x, p.userData.rotSpeed.y, p.userData.rotSpeed.z], i * 3);
+        parallaxSensitivity[i] = p.userData.baseParallaxSensitivity;
+        phase[i] = (indexOffset + i) * 0.1;
+        scale[i] = p.scale;
+    });
+
+    geometry.setAttribute('aOriginalPos', new THREE.InstancedBufferAttribute(originalPos, 3));
+    geometry.setAttribute('aRotation', new THREE.InstancedBufferAttribute(rotation, 3));
+    geometry.setAttribute('aRotSpeed', new THREE.InstancedBufferAttribute(rotSpeed, 3));
+    geometry.setAttribute('aParallaxSensitivity', new THREE.InstancedBufferAttribute(parallaxSensitivity, 1));
+    geometry.setAttribute('aPhase', new THREE.InstancedBufferAttribute(phase, 1));
+    geometry.setAttribute('aScale', new THREE.InstancedBufferAttribute(scale, 1));
+    geometry.setAttribute('aDelay', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute('aStartProgress', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    geometry.setAttribute('aFromPos', new THREE.InstancedBufferAttribute(originalPos.slice(), 3));
+
+    const targets = new Float32Array(count * 3);
+    groupParticles.forEach((p, i) => {
+        p.userData.explosionTarget.toArray(targets, i * 3);
+    });
+    geometry.setAttribute('aExplosionTarget', new THREE.InstancedBufferAttribute(targets, 3));
+}
+
+function isTowardTarget(animationState) {
+    return animationState === 'EXPLODING' || animationState === 'MORPHING';
+}
+
+// Progress an instance had reached in the tween that is ending (mirrors the shader)
+function instanceProgress(startProgress, delay, towardTarget, elapsed, duration, easing) {
+    const { eased } = tweenProgress(elapsed, delay, duration, easing);
+    return towardTarget ? startProgress + (1 - startProgress) * eased : startProgress * (1 - eased);
+}
+
+// One tree's GPU animation: the uniforms its materials share and the tween tracking behind them
+export function createGpuAnimation() {
+    // Uniforms shared by every GPU-animated material of this tree
+    const uniforms = {
+        uTime: { value: 0 },
+        uElapsed: { value: 0 },       // Milliseconds since the current state began
+        uDuration: { value: 0 },
+        uEasing: { value: 0 },        // Index into getEasingNames()
+        uTowardTarget: { value: 0 },  // 1 while exploding/morphing, 0 while returning or idle
+        uFloatSpeed: { value: 0 },
+        uFloatAmount: { value: 0 },
+        uParallax: { value: new THREE.Vector2(0, 0) },
+        uSpin: { value: new THREE.Vector2(0, 0) },
+    };
+
+    // Tween tracking - each instance restarts from where it is whenever the state or its target changes
+    const clockStart = Date.now();
+    let trackedState = null;
+    let retargeted = false;   // Some mesh has new targets waiting in userData.pendingTargets
+    let stateStartTime = 0;
+    let stateMaxDelay = 0;
+    let lastTime = 0;
+
+    // Patch a particle material so its vertex shader reads the per-instance animation attributes
+    function applyGpuAnimation(material) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = vertexHeader + shader.vertexShader
+                .replace('#include <beginnormal_vertex>', normalChunk)
+                .replace('#include <begin_vertex>', positionChunk);
+        };
+        material.customProgramCacheKey = () => 'gpu-particles';
+    }
+
+    // Point instances at new explosion targets after they have been regenerated.
+    // `key` picks the userData target to fly toward (an image morph uses 'morphTarget').
+    // The targets are swapped in on the next frame, which restarts the tweens from where the instances are.
+    function updateGpuExplosionTargets(mesh, groupParticles, key = 'explosionTarget') {
+        if (!mesh.userData.pendingTargets) {
+            mesh.userData.pendingTargets = mesh.geometry.attributes.aExplosionTarget.array.slice();
+        }
+        groupParticles.forEach(p => {
+            p.userData[key].toArray(mesh.userData.pendingTargets, p.instanceId * 3);
+        });
+        mesh.userData.targetsPending = true;
+        retargeted = true;
+    }
+
+    // Freeze every instance where it is, swap in pending targets and load the delays for the new state
+    function startInstanceTweens(particleLists, animationState, time, CONFIG) {
+        const elapsed = time - stateStartTime;
+        const previous = getStateTween(trackedState, CONFIG);
+        const previousToward = isTowardTarget(trackedState);
+        const meshes = new Set();
+        stateMaxDelay = 0;
+
+        particleLists.forEach(list => list.forEach(p => {
+            const attributes = p.mesh.geometry.attributes;
+            if (!attributes.aDelay) return;
+            const start = attributes.aStartProgress.array;
+            const delay = attributes.aDelay.array;
+            const from = attributes.aFromPos.array;
+            const i = p.instanceId;
+
+            if (trackedState !== null) {
+                // Mirrors the shader's mix(aFromPos, gpuEnd, gpuEased) with the targets still in place
+                const { eased } = tweenProgress(elapsed, delay[i], previous.duration, previous.easing);
+                const end = previousToward ? attributes.aExplosionTarget.array : attributes.aOriginalPos.array;
+                for (let k = i * 3; k < i * 3 + 3; k++) {
+                    from[k] += (end[k] - from[k]) * eased;
+                }
+                start[i] = instanceProgress(start[i], delay[i], previousToward, elapsed, previous.duration, previous.easing);
+            }
+            delay[i] = getStateDelay(p, animationState);
+            stateMaxDelay = Math.max(stateMaxDelay, delay[i]);
+            meshes.add(p.mesh);
+        }));
+
+        meshes.forEach(mesh => {
+            const { attributes } = mesh.geometry;
+            if (mesh.userData.targetsPending) {
+                attributes.aExplosionTarget.array.set(mesh.userData.pendingTargets);
+                attributes.aExplosionTarget.needsUpdate = true;
+                mesh.userData.targetsPending = false;
+            }
+            attributes.aStartProgress.needsUpdate = true;
+            attributes.aDelay.needsUpdate = true;
+            attributes.aFromPos.needsUpdate = true;
+        });
+        retargeted = false;
+    }
+
+    // Advance the shared uniforms for this frame. Returns true once a return tween has completed.
+    function updateGpuAnimation(animationState, time, mouse, particleLists, CONFIG) {
+        if (animationState !== trackedState || retargeted) {
+            startInstanceTweens(particleLists, animationState, time, CONFIG);
+            trackedState = animationState;
+            stateStartTime = time;
+        }
+
+        const frameDelta = lastTime ? (time - lastTime) / FRAME_MS : 1;
+        lastTime = time;
+
+        const { duration, easing } = getStateTween(animationState, CONFIG);
+        uniforms.uElapsed.value = time - stateStartTime;
+        uniforms.uDuration.value = duration;
+        uniforms.uEasing.value = Math.max(0, getEasingNames().indexOf(easing));
+        uniforms.uTowardTarget.value = isTowardTarget(animationState) ? 1 : 0;
+
+        // Individual parallax while exploded, fading out otherwise
+        const parallax = uniforms.uParallax.value;
+        if (animationState === 'EXPLODING' && CONFIG.explodedParallaxEnabled) {
+            const smoothing = 1 - Math.pow(1 - PARALLAX_SMOOTHING, frameDelta);
+            parallax.x += (mouse.x * CONFIG.explodedParallaxStrength - parallax.x) * smoothing;
+            parallax.y += (mouse.y * CONFIG.explodedParallaxStrength - parallax.y) * smoothing;
+        } else {
+            parallax.multiplyScalar(Math.pow(0.95, frameDelta));
+        }
+
+        // Faster tumble when exploding
+        if (animationState === 'EXPLODING') {
+            uniforms.uSpin.value.x += 0.02 * frameDelta;
+            uniforms.uSpin.value.y += 0.01 * frameDelta;
+        }
+
+        uniforms.uTime.value = (time - clockStart) / 1000;
+        uniforms.uFloatSpeed.value = CONFIG.idleFloatSpeed;
+        uniforms.uFloatAmount.value = CONFIG.idleFloatAmount;
+
+        return animationState === 'RETURNING' && time - stateStartTime >= stateMaxDelay + duration;
+    }
+
+    return { applyGpuAnimation, updateGpuExplosionTargets, updateGpuAnimation };
+}
@@ -0,0 +1,88 @@
+// Physics explosion mode: an impulse away from the burst origin, drag and gravity, then springs
+// settle particles into their targets and a critically damped spring brings them home.
+// CPU path only - integrates p.position and p.userData.velocity directly.
+import * as THREE from 'three';
+
+const MAX_STEP = 1 / 30;          // Largest integration step (s), keeps the springs stable on slow frames
+const SETTLE_DISTANCE = 0.05;     // Units from home treated as returned
+const SETTLE_SPEED = 0.05;        // Units/s below which a returned particle is at rest
+
+const _direction = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+
+// Called on every state change so the next explosion launches again
+export function resetPhysics(particleLists) {
+    particleLists.forEach(list => list.forEach(p => {
+        p.userData.physicsLaunched = false;
+    }));
+}
+
+// One tree's physics; `streams` are the tree's random streams (js/random.js)
+export function createPhysics(streams) {
+    const random = streams.getRandom('physics');
+
+    // Tree-space point the burst radiates from
+    const burstOrigin = new THREE.Vector3();
+
+    // null = the tree center
+    function setBurstOrigin(origin) {
+        if (origin) burstOrigin.copy(origin);
+        else burstOrigin.set(0, 0, 0);
+    }
+
+    // Kick a particle away from the burst origin
+    function launch(p, settings) {
+        _direction.subVectors(p.position, burstOrigin);
+        if (_direction.lengthSq() < 1e-6) {
+            _direction.set(random() - 0.5, random() - 0.5, random() - 0.5);
+        }
+        _direction.normalize();
+        const speed = settings.impulse * (1 + (random() - 0.5) * settings.impulseJitter);
+        p.userData.velocity.addScaledVector(_direction, speed);
+        p.userData.physicsLaunched = true;
+    }
+
+    // Advance one particle by `dt` seconds. `active` is false until its choreography delay has passed.
+    // `elapsed` is seconds since it became active. Returns true once a returning particle is at rest.
+    function stepPhysicsParticle(p, animationState, target, active, elapsed, dt, CONFIG) {
+        const settings = CONFIG.animation.physics;
+        const velocity = p.userData.velocity;
+        const step = Math.min(dt, MAX_STEP);
+
+        if (animationState === 'RETURNING') {
+            if (active) {
+                // Critically damped spring: x'' = w^2 (home - x) - 2w x'
+                const w = settings.returnStiffness;
+                _accel.subVectors(p.userData.originalPos, p.position).multiplyScalar(w * w)
+                    .addScaledVector(velocity, -2 * w);
+            } else {
+                _accel.copy(velocity).multiplyScalar(-settings.drag);
+            }
+            velocity.addScaledVector(_accel, step);
+            p.position.addScaledVector(velocity, step);
+
+            return p.position.distanceToSquared(p.userData.originalPos) < SETTLE_DISTANCE * SETTLE_DISTANCE
+                && velocity.lengthSq() < SETTLE_SPEED * SETTLE_SPEED;
+        }
+
+        // EXPLODING / MORPHING
+        if (!active) return false;
+        if (!p.userData.physicsLaunched) launch(p, settings);
+
+        // The target spring ramps in while gravity fades out, so the burst flies free first and then settles
+        const t = Math.min(1, elapsed / Math.max(settings.settleTime, 1e-3));
+        const ramp = t * t * (3 - 2 * t);
+        const k = settings.spring * ramp;
+        const damping = settings.drag + 2 * Math.sqrt(k) * settings.settleDamping;
+
+        _accel.subVectors(target, p.position).multiplyScalar(k)
+            .addScaledVector(velocity, -damping);
+        _accel.y += settings.gravity * (1 - ramp);
+
+        velocity.addScaledVector(_accel, step);
+        p.position.addScaledVector(velocity, step);
+        return false;
+    }
+
+    return { setBurstOrigin, stepPhysicsParticle };
+}
@@ -0,0 +1,154 @@
+// Timeline sequencer for scripted shows, played from the animation clock.
+//
+// Timeline JSON: { "name": "...", "loop": false, "cues": [...] }. Cues run in order:
+//   { "type": "explode", "pointer": [x, y] }      Explode (or morph, when enabled); pointer is optional NDC
+//   { "type": "return" }                          Reassemble
+//   { "type": "image", "index": 2 }               Show image 2 now when exploded, otherwise on the next explosion
+//   { "type": "lighting", "preset": "warm" }      A CONFIG.lightingPresets entry ('default' restores)
+//   { "type": "formation", "name": "heart" }      Explosion formation (see js/particles/formations.js)
+//   { "type": "camera", "position": [x, y, z], "target": [x, y, z], "fov": 50, "duration": 2000 }
+//   { "type": "camera", "path": "idle", "duration": 1500 }   Fly a CONFIG cinematic path
+//   { "type": "camera", "release": true }         Hand the camera back
+//   { "type": "wait", "duration": 5000 }          Milliseconds until the next cue
+// Only 'wait' takes time, so cue times follow from the waits alone and a show never drifts: a late
+// frame runs the overdue cues together and the schedule carries on from where it should be.
+// While a timeline plays, the explosion hold timer is off; the timeline decides when to return.
+const CUE_TYPES = ['explode', 'return', 'image', 'lighting', 'formation', 'camera', 'wait'];
+
+// Check a parsed timeline; returns it with unusable cues dropped, or null if nothing can play
+export function parseTimeline(data) {
+    if (!data || !Array.isArray(data.cues)) {
+        console.warn('Timeline has no cues array');
+        return null;
+    }
+
+    const cues = data.cues.filter((cue, i) => {
+        if (!cue || !CUE_TYPES.includes(cue.type)) {
+            console.warn(`Timeline cue ${i} has unknown type:`, cue && cue.type);
+            return false;
+        }
+        if (cue.type === 'wait' && !(cue.duration >= 0)) {
+            console.warn(`Timeline cue ${i} (wait) needs a duration`);
+            return false;
+        }
+        return true;
+    });
+
+    const length = cues.reduce((sum, cue) => sum + (cue.type === 'wait' ? cue.duration : 0), 0);
+    // A looping timeline without waits would run forever within one frame
+    const loop = !!data.loop && length > 0;
+    if (data.loop && !loop) {
+        console.warn('Looping timeline has no waits; playing it once');
+    }
+
+    return { name: data.name || 'timeline', loop, cues, length };
+}
+
+// One tree's sequencer. `context`: the tree's bus and dom (js/core/). `actions`: explode(pointer),
+// reassemble(), showImage(index), setLightingPreset(name), setFormation(name), setCamera(shot, duration)
+// (shot null = release) and setAutoReturn(enabled)
+export function createSequencer(context, actions) {
+    const { bus, dom } = context;
+
+    let timeline = null;
+    let cueIndex = 0;
+    let cueTime = null;       // Animation time the next cue is due; null until the first frame after play
+
+    // Fetch and parse a timeline JSON file; null on failure
+    async function loadTimeline(url) {
+        try {
+            const response = await fetch(dom.resolveAppUrl(url));
+            if (!response.ok) {
+                console.warn(`Timeline not found: ${url}`);
+                return null;
+            }
+            return parseTimeline(await response.json());
+        } catch (error) {
+            console.warn('Could not load timeline:', error.message);
+            return null;
+        }
+    }
+
+    function playTimeline(parsed) {
+        if (!parsed) return;
+        if (timeline) stopTimeline();
+
+        timeline = parsed;
+        cueIndex = 0;
+        cueTime = null;
+        actions.setAutoReturn(false);
+        bus.emit('timeline:start', { name: timeline.name, length: timeline.length });
+    }
+
+    function stopTimeline() {
+        if (!timeline) return;
+        const { name } = timeline;
+        timeline = null;
+        actions.setAutoReturn(true);
+        actions.setCamera(null);
+        bus.emit('timeline:end', { name });
+    }
+
+    function isTimelinePlaying() {
+        return timeline !== null;
+    }
+
+    // Called every frame with the animation clock (ms)
+    function updateSequencer(time) {
+        if (!timeline) return;
+        if (cueTime === null) cueTime = time;
+
+        while (timeline && cueTime <= time) {
+            if (cueIndex >= timeline.cues.length) {
+                if (!timeline.loop) {
+                    stopTimeline();
+                    return;
+                }
+                cueIndex = 0;
+            }
+
+            const cue = timeline.cues[cueIndex++];
+            if (cue.type === 'wait') {
+                cueTime += cue.duration;
+            } else {
+                // A failing cue shouldn't end the show
+                try {
+                    runCue(cue);
+                } catch (err) {
+                    console.warn(`Timeline cue ${cue.type} failed:`, err);
+                }
+            }
+        }
+    }
+
+    function runCue(cue) {
+        switch (cue.type) {
+            case 'explode':
+                actions.explode(cue.pointer ? { x: cue.pointer[0], y: cue.pointer[1] } : null);
+                break;
+            case 'return':
+                actions.reassemble();
+                break;
+            case 'image':
+                actions.showImage(cue.index);
+                break;
+            case 'lighting':
+                actions.setLightingPreset(cue.preset);
+                break;
+            case 'formation':
+                actions.setFormation(cue.name);
+                break;
+            case 'camera':
+                if (cue.release) {
+                    actions.setCamera(null);
+                } else {
+                    const shot = cue.path || { position: cue.position, target: cue.target, fov: cue.fov };
+                    actions.setCamera(shot, cue.duration || 0);
+                }
+                break;
+        }
+        bus.emit('timeline:cue', { type: cue.type, cue });
+    }
+
+    return { loadTimeline, playTimeline, stopTimeline, isTimelinePlaying, updateSequencer };
+}
@@ -0,0 +1,150 @@
+// Public controller for embedding pages, exposed as window.ChristmasTree (documented in the README).
+// Everything here goes through the same handlers as the on-page controls.
+import { validateConfig, formatProblem } from './configSchema.js';
+import { UNSAFE_KEYS } from './configLoader.js';
+
+// API event names -> bus events; other names go straight to the bus (e.g. 'particle:click')
+const EVENTS = {
+    stateChange: 'state:change',
+    imageShown: 'image:shown',
+    setLoaded: 'imageset:loaded',
+    fps: 'fps',
+};
+
+// `handlers`: explode(), reassemble(), showImage(index), switchImageSet(id) (a promise of { needsPassword }),
+// unlock(password) (a promise), applyConfigChange(path) (redo whatever depends on that nested CONFIG path),
+// reportConfigProblems(problems) and getState(). `bus` is the tree's event bus (js/core/bus.js).
+export function createApi(CONFIG, handlers, bus) {
+    // Returns the problems ({ path, message }); the value is only kept when there are none
+    function applyValue(path, value) {
+        const keys = String(path).split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((obj, key) => (isOwnSetting(obj, key) ? obj[key] : undefined), CONFIG);
+        if (!isOwnSetting(parent, last)) {
+            return [{ path: String(path), message: 'unknown setting' }];
+        }
+        const { get, set } = Object.getOwnPropertyDescriptor(parent, last);
+        if (get && !set) {
+            return [{ path: String(path), message: 'read-only setting' }];
+        }
+
+        // Only problems the change adds count; it can break another setting (a preset an object still uses)
+        const existing = new Set(validateConfig(CONFIG).map(formatProblem));
+
+        // Flat aliases are accessors; find the nested value they changed so the right rebuild runs
+        const viaAlias = !('value' in Object.getOwnPropertyDescriptor(CONFIG, keys.length > 0 ? keys[0] : last));
+        const before = viaAlias ? snapshotSections(CONFIG) : null;
+        const previous = parent[last];
+        try {
+            parent[last] = value;
+        } catch (err) {
+            return [{ path: String(path), message: err.message }];
+        }
+        const changedPaths = before ? findChangedPaths(before, snapshotSections(CONFIG), '') : [String(path)];
+        if (changedPaths.length === 0) return [];
+
+        // Put invalid values back rather than rebuild with them. An alias may have set more than one
+        // value (the deprecated explosion speed sets both durations), so those come from the snapshot.
+        const problems = validateConfig(CONFIG).filter(problem => !existing.has(formatProblem(problem)));
+        if (problems.length > 0) {
+            if (before) restorePaths(CONFIG, before, changedPaths);
+            else parent[last] = previous;
+            return problems;
+        }
+        handlers.applyConfigChange(changedPaths[0]);
+        return [];
+    }
+
+    // `path` is nested ('sceneSetup.treeGeometry.height', 'objects.0.count') or a flat alias ('treeHeight').
+    // Returns false if the path doesn't exist or the change leaves a setting invalid (see js/configSchema.js).
+    function setConfig(path, value) {
+        const problems = applyValue(path, value);
+        if (problems.length > 0) handlers.reportConfigProblems(problems);
+        return problems.length === 0;
+    }
+
+    // `patch` is an object of nested values ({ animation: { explosion: { holdDuration: 8000 } } });
+    // every leaf is set as with setConfig (arrays are set whole). Returns the problems as readable
+    // messages, empty when everything was applied.
+    function patchConfig(patch) {
+        const problems = [];
+        const visit = (values, prefix) => {
+            Object.entries(values || {}).forEach(([key, value]) => {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    visit(value, path);
+                } else {
+                    problems.push(...applyValue(path, value));
+                }
+            });
+        };
+        visit(patch, '');
+        if (problems.length > 0) handlers.reportConfigProblems(problems);
+        return problems.map(formatProblem);
+    }
+
+    return Object.freeze({
+        explode: () => handlers.explode(),
+        reassemble: () => handlers.reassemble(),
+        showImage: (index) => handlers.showImage(index),
+        switchImageSet: (id) => handlers.switchImageSet(id),
+        unlock: (password) => handlers.unlock(password),
+        setConfig,
+        patchConfig,
+        getState: () => handlers.getState(),
+
+        // Returns a function that removes the listener
+        on: (name, fn) => bus.on(EVENTS[name] || name, fn),
+        off: (name, fn) => bus.off(EVENTS[name] || name, fn),
+    });
+}
+
+// Only CONFIG's own settings, so a path like '__proto__.x' can't reach Object.prototype
+function isOwnSetting(obj, key) {
+    return obj !== null && typeof obj === 'object' && !UNSAFE_KEYS.includes(key) && Object.hasOwn(obj, key);
+}
+
+// Plain copies of CONFIG's nested sections (the flat aliases are getters on top of these)
+function snapshotSections(CONFIG) {
+    const sections = {};
+    Object.keys(CONFIG).forEach(key => {
+        if ('value' in Object.getOwnPropertyDescriptor(CONFIG, key)) {
+            sections[key] = JSON.parse(JSON.stringify(CONFIG[key] ?? null));
+        }
+    });
+    return sections;
+}
+
+// Dotted paths of the values that differ between two snapshots, in key order.
+// Arrays that changed length count as one value.
+function findChangedPaths(before, after, prefix, found = []) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+        const a = before[key];
+        const b = after[key];
+        if (JSON.stringify(a) === JSON.stringify(b)) continue;
+
+        const path = prefix ? `${prefix}.${key}` : key;
+        const bothObjects = a && b && typeof a === 'object' && typeof b === 'object'
+            && Array.isArray(a) === Array.isArray(b) && (!Array.isArray(a) || a.length === b.length);
+        const count = found.length;
+        if (bothObjects) findChangedPaths(a, b, path, found);
+        if (found.length === count) found.push(path);
+    }
+    return found;
+}
+
+// Write the snapshot's values back at `paths`, skipping accessors (they follow from the values they read)
+function restorePaths(CONFIG, before, paths) {
+    paths.forEach(path => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((obj, key) => obj[key], CONFIG);
+        const saved = keys.reduce((obj, key) => obj[key], before)[last];
+        const descriptor = Object.getOwnPropertyDescriptor(parent, last);
+        if (descriptor && !('value' in descriptor)) return;
+
+        if (saved === undefined) delete parent[last];
+        else parent[last] = saved;
+    });
+}
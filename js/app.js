@@ -0,0 +1,733 @@
+// One tree: its config, scene, particles, input and UI, built inside the page (js/main.js) or a
+// <christmas-tree> element's shadow root (js/element.js). Nothing here is shared between trees except
+// the registries (shapes, formations, easings) and the particle geometry cache.
+import * as THREE from 'three';
+import { createConfig } from '../config.js';
+
+// Core modules
+import { createState } from './state.js';
+import { createRandom } from './random.js';
+import {
+    createScene,
+    createPerspectiveCamera,
+    createOrthographicCamera,
+    createRenderer,
+    updateCameraOnStateChange,
+    updateOrthographicCameraZoom,
+    updateOrthographicCameraAngle,
+} from './core/scene.js';
+import { createCameraTransition } from './core/cameraTransition.js';
+import { createCinematic } from './core/cinematic.js';
+import { createEnvironmentMap } from './core/environment.js';
+import { createLighting, applyLightingPreset, updateLights } from './core/lighting.js';
+import { createPostProcessing } from './core/postprocessing.js';
+import { createBus } from './core/bus.js';
+
+// Particle modules
+import { initGeometries } from './particles/geometry.js';
+import { createParticleBuilder, removeParticles, setParticlesVisible } from './particles/particles.js';
+import { createMorph } from './particles/morph.js';
+import { createMaterials } from './particles/materials.js';
+import { applyChoreography, pointerToTreeSpace } from './animation/choreography.js';
+import { createPhysics } from './animation/physics.js';
+import { createGpuAnimation } from './animation/gpu.js';
+import { getFormationNames } from './particles/formations.js';
+
+// UI modules
+import { createFpsCounter } from './ui/fps.js';
+import { createConfigErrors } from './ui/configErrors.js';
+import { createModals } from './ui/modals.js';
+import { createGUI } from './ui/gui.js';
+
+// Showcase modules
+import { createShowcase } from './showcase/showcase.js';
+import { createLinkedOrnaments } from './showcase/linked.js';
+
+// Interaction modules
+import { createMouseTracking } from './interaction/mouse.js';
+import { createEvents } from './interaction/events.js';
+import { createKeyboard } from './interaction/keyboard.js';
+import { createGamepad } from './interaction/gamepad.js';
+import { createZoom } from './interaction/zoom.js';
+import { createOrbit } from './interaction/orbit.js';
+import { createKiosk } from './interaction/kiosk.js';
+import { createPicking, pickTreePoint } from './interaction/picking.js';
+
+// Animation modules
+import { createAnimation } from './animation/animation.js';
+import { createSequencer } from './animation/sequencer.js';
+
+// Public API
+import { createApi } from './api.js';
+import { loadConfig } from './configLoader.js';
+import { formatProblem } from './configSchema.js';
+
+// `dom` is where the tree lives (createDom in js/core/dom.js). Resolves to { config, api, dispose }:
+// `api` is the tree's ChristmasTree controller (js/api.js), `dispose()` takes the tree down for good.
+export async function createApp(dom) {
+    // --- CONFIG ---
+    // ?config=<json> and ?cfg.<path>=<value> on top of the defaults, before anything reads them.
+    // Invalid values are already back at their defaults. The parameters are the page URL's, or the
+    // attributes of a <christmas-tree> element (see js/core/dom.js).
+    const CONFIG = createConfig();
+    const params = dom.getStartupParams();
+    const configProblems = await loadConfig(CONFIG, params);
+
+    // Per-tree services the modules below share
+    const bus = createBus();
+    const state = createState();
+    const configErrors = createConfigErrors(dom);
+
+    // Problems go to the console and an on-screen panel; runtime changes through the API are checked too
+    function reportConfigProblems(problems) {
+        const messages = problems.map(formatProblem);
+        messages.forEach(message => console.warn(`Config: ${message}`));
+        configErrors.showConfigErrors(messages);
+    }
+
+    reportConfigProblems(configProblems);
+
+    // --- RANDOM SEED ---
+    // Seeded before anything samples positions so the same seed reproduces the same scene
+    const random = createRandom(CONFIG, params);
+
+    // --- KIOSK ---
+    // ?kiosk=1 (or 0) overrides the config; read early so the startup settings modal stays closed
+    const kioskParam = params.get('kiosk');
+    if (kioskParam !== null) {
+        CONFIG.interaction.kiosk.enabled = kioskParam !== '0' && kioskParam !== 'false';
+    }
+
+    // ?view=perspective|isometric overrides the idle view type (e.g. from <christmas-tree view-type>)
+    const viewParam = params.get('view');
+    if (viewParam === 'perspective' || viewParam === 'isometric') {
+        CONFIG.viewType = viewParam;
+    }
+
+    // --- SETUP SCENE ---
+    const container = dom.getElement('canvas-container');
+    const scene = createScene();
+    const perspectiveCamera = createPerspectiveCamera(CONFIG);
+    const orthographicCamera = createOrthographicCamera(CONFIG);
+    let camera = CONFIG.viewType === 'isometric' ? orthographicCamera : perspectiveCamera;
+    const renderer = createRenderer(container, CONFIG);
+    dom.setCanvas(renderer.domElement);
+
+    // Populate state with scene objects
+    state.scene = scene;
+    state.perspectiveCamera = perspectiveCamera;
+    state.orthographicCamera = orthographicCamera;
+    state.camera = camera;
+    state.renderer = renderer;
+
+    // --- ENVIRONMENT MAP ---
+    let envMap = createEnvironmentMap(renderer, CONFIG);
+    scene.environment = envMap;
+    state.envMap = envMap;
+
+    // After a sky color change: the materials move to a new map and the old one's render target is freed
+    function replaceEnvironmentMap() {
+        const previous = envMap;
+        envMap = createEnvironmentMap(renderer, CONFIG);
+        scene.traverse(object => {
+            if (object.material && object.material.envMap === previous) object.material.envMap = envMap;
+        });
+        materials.setCachedMaterialsEnvMap(envMap);
+        scene.environment = envMap;
+        state.envMap = envMap;
+        previous.dispose();
+    }
+
+    // --- CAMERA SWITCHING ---
+    // The animation loop is created last, once everything it drives exists; the callbacks before then reach it
+    // through these (nothing calls them until the first frame or input)
+    let animation = null;
+    const getAnimationState = () => animation.getAnimationState();
+    const restartParticleTweens = () => animation.restartParticleTweens();
+
+    function updateCamera(newState) {
+        cinematic.setCinematicState(newState);
+        updateCameraOnStateChange(newState, CONFIG, state, { cameraTransition, cinematic }, syncCamera);
+    }
+
+    // state.camera changed (a view switch, or a view blend starting or finishing)
+    function syncCamera() {
+        camera = state.camera;
+        if (animation) animation.updateCameraReference(camera);
+    }
+
+    // --- INITIALIZE ZOOM ---
+    const cameraTransition = createCameraTransition();
+    const zoom = createZoom(CONFIG, { perspectiveCamera, orthographicCamera, dom });
+    const orbit = createOrbit(CONFIG, { perspectiveCamera, orthographicCamera, zoom, dom });
+    // Entering or leaving cinematic mode re-picks the camera (paths always use the perspective one)
+    const cinematic = createCinematic(CONFIG, { perspectiveCamera, zoom }, {
+        onActiveChange: () => updateCamera(getAnimationState()),
+    });
+
+    // --- INITIALIZE MOUSE TRACKING ---
+    const mouse = createMouseTracking(CONFIG, { orbit, dom });
+
+    // --- GEOMETRY INITIALIZATION ---
+    initGeometries();
+
+    // --- CREATE PARTICLES ---
+    const gpu = createGpuAnimation();
+    const materials = createMaterials(gpu);
+    const particleBuilder = createParticleBuilder({ random, materials, gpu });
+    const morph = createMorph({ random, gpu });
+    const physics = createPhysics(random);
+    const particles = [];
+    const treeGroup = new THREE.Group();
+    scene.add(treeGroup);
+
+    // One InstancedMesh per object definition
+    particleBuilder.createTreeParticles(particles, treeGroup, camera, CONFIG, envMap);
+
+    // --- LIGHTING ---
+    const lights = createLighting(scene, CONFIG);
+    state.lights = lights;
+
+    // --- POST PROCESSING ---
+    const { composer, renderPass, bloomPass } = createPostProcessing(renderer, scene, camera, CONFIG);
+    state.composer = composer;
+    state.renderPass = renderPass;
+    state.bloomPass = bloomPass;
+
+    // --- TEST PARTICLES ---
+    const testParticles = [];
+    const testObjectGroups = [];
+
+    // Wrapper functions for particle rebuilding
+    function rebuildTreeParticles() {
+        particleBuilder.rebuildTreeParticles(particles, treeGroup, testObjectGroups, camera, CONFIG, envMap, guiControls);
+        relinkOrnaments();
+    }
+
+    function rebuildAllTestParticles() {
+        particleBuilder.rebuildAllTestParticles(testParticles, testObjectGroups, particles, treeGroup, camera, CONFIG, envMap, guiControls);
+        relinkOrnaments();
+    }
+
+    function rebuildAllParticles() {
+        particleBuilder.rebuildAllParticles(particles, testParticles, testObjectGroups, treeGroup, camera, CONFIG, envMap, guiControls);
+        relinkOrnaments();
+    }
+
+    // Hand the current image set out to the linked ornaments (see showcase/linked.js)
+    function relinkOrnaments() {
+        linked.assignLinkedImages([particles, testParticles], showcase.getShowcaseState().showcaseTextures.length);
+    }
+
+    // Tree-space point picked under the last exploding click in 'pointer' center mode (null = tree origin)
+    let pointerCenter = null;
+
+    // New explosion targets for the current formation, applied without rebuilding meshes
+    function regenerateExplosionTargets() {
+        // Same seed and formation, same field; the test particles draw on after the tree, as when they were built
+        random.resetStream('explosion');
+        particleBuilder.regenerateExplosionTargets(particles, camera, CONFIG, pointerCenter);
+        particleBuilder.regenerateExplosionTargets(testParticles, camera, CONFIG, pointerCenter);
+        restartParticleTweens();
+    }
+
+    // --- INITIALIZE UI ---
+    const fps = createFpsCounter({ bus, dom });
+    fps.setFpsVisibility(CONFIG.showFPS);
+
+    // --- INITIALIZE SHOWCASE ---
+    const linked = createLinkedOrnaments(CONFIG, { treeGroup, random });
+    const showcase = createShowcase(CONFIG, { scene, random, bus, dom }, {
+        onImagesLoaded: relinkOrnaments,
+    });
+
+    // Zoom to a linked ornament and unfold its image from it; false if it carries none
+    function openLinkedImage(particle) {
+        const index = linked.getLinkedImage(particle);
+        const texture = index === null ? null : showcase.getShowcaseState().showcaseTextures[index];
+        if (!texture || getAnimationState() !== "IDLE") return false;
+
+        showcase.updateShowcaseBoxTexture(texture);
+        showcase.setShowcaseBoxAnchor({
+            getPosition: target => linked.getOrnamentWorldPosition(particle, target),
+            scale: CONFIG.showcase.linked.boxScale,
+            offset: CONFIG.showcase.linked.boxOffset,
+        });
+        showcase.setShowcaseBoxShouldShow(true);
+        linked.openLinkedOrnament(particle, camera);
+        return true;
+    }
+
+    function closeLinkedImage() {
+        linked.closeLinkedOrnament();
+        showcase.setShowcaseBoxShouldShow(false);
+    }
+
+    // Async wrapper for switchImageSet (password prompts handled by settings modal)
+    async function handleSwitchImageSet(setId) {
+        await showcase.switchImageSet(setId);
+    }
+
+    // --- INITIALIZE MODALS ---
+    const modals = createModals(CONFIG, showcase.getAvailableImageSets(), { mouse, dom }, {
+        switchImageSet: handleSwitchImageSet,
+        loadEncryptedImageSet: showcase.loadEncryptedImageSet,
+        getCurrentImageSet: showcase.getCurrentImageSet,
+    });
+
+    // Initialize image sets on startup
+    showcase.loadImageSetsManifest().then(manifest => {
+        if (manifest) {
+            modals.updateImageSets(manifest.sets || [], showcase.getCurrentImageSet());
+            // ?set= picks the starting image set instead of the manifest default
+            let startSet = params.get('set') || manifest.defaultSet;
+            if (startSet !== manifest.defaultSet && !showcase.getAvailableImageSets().some(set => set.id === startSet)) {
+                console.warn(`Image set not found: ${startSet}`);
+                startSet = manifest.defaultSet;
+            }
+            if (startSet) {
+                handleSwitchImageSet(startSet);
+            }
+            // Show settings modal on page load (with auto-close countdown)
+            if (showcase.getAvailableImageSets().length > 0) {
+                modals.showSettingsModal(true);
+            }
+        }
+    });
+
+
+    // --- CHOREOGRAPHY ---
+    // Tree-space point the 'distance' mode ripples from: the click that exploded (or reassembled) the tree
+    let choreographyOrigin = null;
+
+    // `origin` (tree space) overrides the pointer, e.g. the picked explosion center
+    function updateChoreography(phase, pointer, origin = null) {
+        if (origin) {
+            choreographyOrigin = origin;
+        } else if (pointer) {
+            choreographyOrigin = pointerToTreeSpace(pointer, camera, treeGroup);
+        } else if (phase === 'explode') {
+            choreographyOrigin = null;
+        }
+        applyChoreography([particles, testParticles], phase, choreographyOrigin, CONFIG);
+    }
+
+    // --- INITIALIZE EVENTS ---
+    const events = createEvents(CONFIG, { zoom, dom }, {
+        onExplosion: (pointer) => {
+            // Normalize spin to within one rotation to prevent long unwinding
+            mouse.normalizeHorizontalSpin();
+            linked.closeLinkedOrnament();
+            showcase.setShowcaseBoxAnchor(null);
+
+            // 'pointer' center mode: re-center the explosion on whatever was clicked
+            const pointerMode = CONFIG.explosionCenterMode === 'pointer';
+            if (pointerMode && pointer) {
+                pointerCenter = pickTreePoint(pointer, camera, treeGroup, [particles, testParticles]);
+                regenerateExplosionTargets();
+            }
+            physics.setBurstOrigin(pointerMode ? pointerCenter : null);
+            updateChoreography('explode', pointer, pointerMode ? pointerCenter : null);
+
+            // Reset individual parallax shifts
+            particles.forEach(p => {
+                p.userData.individualParallaxShift.set(0, 0, 0);
+            });
+
+            // A previous image morph may have pointed the GPU targets at the image
+            morph.restoreExplosionTargets([particles, testParticles], CONFIG);
+
+            // Cycle to next showcase image and show box after delay
+            const showcaseState = showcase.getShowcaseState();
+            if (showcaseState.showcaseImagesLoaded && showcaseState.showcaseTextures.length > 0) {
+                const nextTexture = showcase.getNextShowcaseImage();
+                showcase.updateShowcaseBoxTexture(nextTexture);
+
+                setTimeout(() => {
+                    if (getAnimationState() === "EXPLODING") {
+                        showcase.setShowcaseBoxShouldShow(true);
+                    }
+                }, CONFIG.imageDelay);
+            }
+
+            updateCamera("EXPLODING");
+        },
+        onMorph: (image, pointer) => {
+            mouse.normalizeHorizontalSpin();
+            linked.closeLinkedOrnament();
+            updateChoreography('explode', pointer);
+
+            // The particles become the picture, so the showcase box stays hidden
+            const source = image || showcase.getNextShowcaseImage()?.image;
+            showcase.setShowcaseBoxShouldShow(false);
+            if (source) {
+                morph.assignMorphTargets([particles, testParticles], source, camera, CONFIG);
+                // Already morphing: the particles tween on to the new image from where they are
+                restartParticleTweens();
+                bus.emit('image:shown', { index: showcase.getShowcaseImageIndex(source), image: source, morph: true });
+            }
+        },
+        onReturn: (pointer) => {
+            updateChoreography('return', pointer);
+            showcase.setShowcaseBoxShouldShow(false);
+            updateCamera("RETURNING");
+        },
+        canMorph: () => CONFIG.morphOnExplosion && showcase.getShowcaseState().showcaseImagesLoaded,
+        // Returns true when the click was used up by the ornament
+        onParticleClick: (pointer) => {
+            // An open linked image closes on the next click anywhere
+            if (linked.isLinkedOrnamentOpen()) {
+                closeLinkedImage();
+                return true;
+            }
+
+            const settings = CONFIG.interaction.picking;
+            if (!settings.enabled) return false;
+            const hit = picking.pickParticle(pointer);
+            if (!hit) return false;
+
+            const { particle, point } = hit;
+            bus.emit('particle:click', {
+                particle,
+                objectIndex: particle.objectIndex,
+                instanceId: particle.instanceId,
+                point,
+            });
+
+            if (openLinkedImage(particle)) return true;
+
+            if (settings.clickAction === 'spin') {
+                particle.userData.spinBoost = 0.4;
+                return true;
+            }
+            return settings.clickAction === 'none';
+        },
+        getAnimationState,
+        setAnimationState: (newState) => {
+            animation.setAnimationState(newState);
+            updateCamera(newState);
+        },
+    });
+
+    // --- INITIALIZE KEYBOARD & GAMEPAD ---
+    // Unlike a click, keys and buttons always reassemble (reassembleOnClick only governs clicks)
+    function toggleFromInput() {
+        const animationState = getAnimationState();
+        if (animationState === "EXPLODING" || animationState === "MORPHING") {
+            events.reassemble();
+        } else {
+            closeLinkedImage();
+            events.toggleExplosion();
+        }
+    }
+
+    // Step through the showcase: swap the visible image, or re-form into it while morphing
+    function stepImage(offset) {
+        const texture = showcase.stepShowcaseImage(offset);
+        if (texture) displayImage(texture);
+    }
+
+    // Show image `index` now when exploded or morphing, otherwise on the next explosion
+    function showImage(index) {
+        if (!showcase.selectShowcaseImage(index)) return;
+        const animationState = getAnimationState();
+        if (animationState === "EXPLODING" || animationState === "MORPHING") {
+            displayImage(showcase.getNextShowcaseImage());
+        }
+    }
+
+    function displayImage(texture) {
+        const animationState = getAnimationState();
+        if (animationState === "MORPHING") {
+            events.startMorph(texture.image);
+        } else if (animationState === "EXPLODING") {
+            showcase.updateShowcaseBoxTexture(texture);
+        }
+    }
+
+    // The help key still closes the help overlay; everything else waits for it and the dialogs
+    const isInputBlocked = (action) => (
+        modals.isSettingsModalOpen() || modals.isPasswordPromptOpen() || (modals.isHelpModalOpen() && action !== 'help')
+    );
+
+    const keyboard = createKeyboard(CONFIG, { mouse, dom }, {
+        toggle: toggleFromInput,
+        previousImage: () => stepImage(-1),
+        nextImage: () => stepImage(1),
+        settings: () => modals.showSettingsModal(),
+        fullscreen: () => keyboard.toggleFullscreen(),
+        help: (rows) => {
+            if (modals.isHelpModalOpen()) modals.hideHelpModal();
+            else modals.showHelpModal(rows);
+        },
+        isBlocked: isInputBlocked,
+    });
+
+    const gamepad = createGamepad(CONFIG, { mouse, dom }, {
+        toggle: toggleFromInput,
+        previousImage: () => stepImage(-1),
+        nextImage: () => stepImage(1),
+        isBlocked: isInputBlocked,
+    });
+
+    // Explode unless already exploded - for timelines and attract mode, which shouldn't toggle back
+    function autoExplode(pointer = null) {
+        const animationState = getAnimationState();
+        if (animationState === "IDLE" || animationState === "RETURNING") {
+            closeLinkedImage();
+            events.toggleExplosion(pointer);
+        }
+    }
+
+    // --- INITIALIZE SEQUENCER ---
+    const sequencer = createSequencer({ bus, dom }, {
+        explode: autoExplode,
+        reassemble: () => events.reassemble(),
+        showImage,
+        setLightingPreset: (name) => applyLightingPreset(lights, CONFIG, name),
+        setFormation: (name) => {
+            if (!getFormationNames().includes(name)) {
+                console.warn(`Unknown formation: ${name}`);
+                return;
+            }
+            CONFIG.explosionFormation = name;
+            regenerateExplosionTargets();
+        },
+        setCamera: cinematic.setCinematicShot,
+        setAutoReturn: events.setAutoReturn,
+    });
+
+    // ?timeline= overrides CONFIG.animation.timeline.url
+    const timelineUrl = params.get('timeline') || CONFIG.animation.timeline.url;
+    if (timelineUrl) {
+        sequencer.loadTimeline(timelineUrl).then(timeline => {
+            if (timeline && CONFIG.animation.timeline.autoplay) sequencer.playTimeline(timeline);
+        });
+    }
+
+    // --- INITIALIZE KIOSK ---
+    const kiosk = createKiosk(CONFIG, { mouse, dom }, {
+        explode: autoExplode,
+        nextImage: () => stepImage(1),
+        getAnimationState,
+        // A playing timeline is already running the show
+        isBlocked: sequencer.isTimelinePlaying,
+    });
+
+    // --- INITIALIZE PICKING ---
+    const picking = createPicking(CONFIG, { treeGroup, morph, dom }, {
+        getCamera: () => camera,
+        getParticleLists: () => [particles, testParticles],
+        getAnimationState,
+    });
+
+    events.initResizeHandler(container, {
+        perspectiveCamera,
+        orthographicCamera,
+        renderer,
+        composer,
+    });
+
+    // --- CREATE GUI ---
+    // Forward declaration for guiControls (used by rebuild functions)
+    let guiControls = {};
+
+    const guiResult = createGUI(CONFIG, {
+        perspectiveCamera,
+        orthographicCamera,
+        renderer,
+        scene,
+        renderPass,
+        bloomPass,
+        ambientLight: lights.ambient,
+        hemiLight: lights.hemi,
+        keyLight: lights.key,
+        fillLight: lights.fill,
+        rimLight: lights.rim,
+        overheadLight: lights.overhead,
+        topGlow: lights.topGlow,
+        particles,
+        testParticles,
+        testObjectGroups,
+        random,
+        sequencer,
+        kiosk,
+        cameraTransition,
+        cinematic,
+        dom,
+        state: {
+            get animationState() { return getAnimationState(); },
+            get camera() { return camera; },
+            set camera(c) { camera = c; state.camera = c; },
+            get envMap() { return envMap; },
+            set envMap(e) { envMap = e; state.envMap = e; },
+        },
+    }, {
+        rebuildAllParticles,
+        rebuildAllTestParticles,
+        regenerateExplosionTargets,
+        relinkOrnaments,
+        refreshZoom: zoom.refreshZoom,
+        replaceEnvironmentMap,
+        morphToImage: events.startMorph,
+        getCurrentShowcaseImage: showcase.getCurrentShowcaseImage,
+        loadImageFile: showcase.loadImageFile,
+        switchImageSet: handleSwitchImageSet,
+        loadImageSetsManifest: showcase.loadImageSetsManifest,
+        setFpsVisibility: fps.setFpsVisibility,
+    });
+
+    guiControls = guiResult.guiControls;
+
+    // --- INITIALIZE ANIMATION ---
+    animation = createAnimation(CONFIG, {
+        particles,
+        testParticles,
+        treeGroup,
+        camera,
+        renderer,
+        composer,
+        scene,
+        bus,
+        gpu,
+        morph,
+        physics,
+    }, {
+        updateFps: fps.updateFps,
+        updateParallaxTargets: mouse.updateParallaxTargets,
+        applyParallaxToGroup: mouse.applyParallaxToGroup,
+        animateShowcaseBox: showcase.animateShowcaseBox,
+        renderShowcase: showcase.renderShowcase,
+        getMouse: mouse.getMouse,
+        getLastMouseMoveTime: mouse.getLastMouseMoveTime,
+        updateCamera,
+        updatePicking: picking.updatePicking,
+        updateLinkedFocus: linked.updateLinkedFocus,
+        pollGamepads: gamepad.pollGamepads,
+        updateZoom: zoom.updateZoom,
+        updateOrbit: orbit.updateOrbit,
+        updateCinematic: cinematic.updateCinematic,
+        updateCameraTransition: cameraTransition.updateCameraTransition,
+        updateSequencer: sequencer.updateSequencer,
+        updateKiosk: kiosk.updateKiosk,
+    });
+
+    // --- PUBLIC API ---
+    // What to redo after a CONFIG change made through the API, by nested path prefix (first match wins).
+    // Anything not listed is read live, or on the next explosion.
+    const CONFIG_UPDATES = [
+        ['sceneSetup.seed', () => {
+            random.setSeed(CONFIG.seed);
+            CONFIG.seed = random.getSeed();
+            rebuildAllParticles();
+        }],
+        ['sceneSetup.treeGeometry', rebuildAllParticles],
+        ['sceneSetup.camera.position', () => {
+            zoom.refreshZoom();
+            updateOrthographicCameraAngle(orthographicCamera, CONFIG);
+        }],
+        ['sceneSetup.camera.isometric', () => {
+            updateOrthographicCameraZoom(orthographicCamera, CONFIG, zoom.getZoomLevel());
+            updateOrthographicCameraAngle(orthographicCamera, CONFIG);
+        }],
+        ['sceneSetup.camera.viewType', () => updateCamera(getAnimationState())],
+        ['sceneSetup.camera.explodedViewType', () => updateCamera(getAnimationState())],
+        ['interaction.kiosk.enabled', () => kiosk.setKioskEnabled(CONFIG.interaction.kiosk.enabled)],
+        ['animation.explosionDistribution', regenerateExplosionTargets],
+        ['rendering.postProcessing.bloom', () => {
+            bloomPass.strength = CONFIG.bloomStrength;
+            bloomPass.radius = CONFIG.bloomRadius;
+            bloomPass.threshold = CONFIG.bloomThreshold;
+        }],
+        ['rendering.postProcessing.toneMappingExposure', () => {
+            renderer.toneMappingExposure = CONFIG.toneMappingExposure;
+        }],
+        ['rendering.environment', replaceEnvironmentMap],
+        ['rendering.lighting', () => updateLights(lights, CONFIG)],
+        ['ui.visibility.showTreeParticles', () => {
+            const hasTestObjects = testObjectGroups.reduce((sum, g) => sum + g.count, 0) > 0;
+            setParticlesVisible(particles, CONFIG.showTreeParticles && !hasTestObjects);
+        }],
+        ['ui.visibility.showFPS', () => fps.setFpsVisibility(CONFIG.showFPS)],
+        ['ui.performance.performanceMode', rebuildAllParticles],
+        ['ui.performance.gpuAnimation', rebuildAllParticles],
+        ['showcase.linked', relinkOrnaments],
+        ['objects', rebuildAllParticles],
+        ['materialDefaults', rebuildAllParticles],
+        ['materialPresets', rebuildAllParticles],
+    ];
+
+    function applyConfigChange(path) {
+        const match = CONFIG_UPDATES.find(([prefix]) => path === prefix || path.startsWith(prefix + '.'));
+        if (match) match[1]();
+    }
+
+    const api = createApi(CONFIG, {
+        explode: autoExplode,
+        reassemble: () => events.reassemble(),
+        showImage,
+        switchImageSet: async (id) => {
+            if (!showcase.getAvailableImageSets().some(set => set.id === id)) {
+                throw new Error(`Image set not found: ${id}`);
+            }
+            const result = await showcase.switchImageSet(id);
+            return { needsPassword: !!(result && result.needsPassword) };
+        },
+        // Unlocks the current (encrypted) set, like the password field in settings
+        unlock: async (password) => {
+            const set = showcase.getCurrentImageSet();
+            if (!set || !set.encrypted) {
+                throw new Error('The current image set is not encrypted');
+            }
+            try {
+                await showcase.loadEncryptedImageSet(set, password);
+            } catch (e) {
+                console.warn('Decryption failed:', e);
+                throw new Error('Incorrect password');
+            }
+        },
+        applyConfigChange,
+        reportConfigProblems,
+        getState: () => {
+            const { showcaseTextures } = showcase.getShowcaseState();
+            const imageSet = showcase.getCurrentImageSet();
+            const current = showcase.getCurrentShowcaseImage();
+            return {
+                state: getAnimationState(),
+                imageSet: imageSet ? imageSet.id : null,
+                imageIndex: current ? showcase.getShowcaseImageIndex(current) : -1,
+                imageCount: showcaseTextures.length,
+                fps: fps.getFps(),
+                seed: random.getSeed(),
+                interactionMode: CONFIG.interactionMode,
+                timelinePlaying: sequencer.isTimelinePlaying(),
+            };
+        },
+    }, bus);
+
+    // --- START ANIMATION LOOP ---
+    animation.startAnimationLoop();
+
+    // Takes the tree down: nothing runs, listens or holds GPU memory afterwards (a <christmas-tree> that left the page)
+    function dispose() {
+        animation.stopAnimationLoop();
+        dom.dispose();
+        events.disposeEvents();
+        keyboard.disposeKeyboard();
+        modals.disposeModals();
+        guiResult.disposeGUI();
+        bus.clear();
+
+        removeParticles(particles, treeGroup);
+        removeParticles(testParticles, treeGroup);
+        materials.clearMaterialCache();
+        envMap.dispose();
+        bloomPass.dispose();
+        composer.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+    }
+
+    return { config: CONFIG, api, dispose };
+}
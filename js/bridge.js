@@ -0,0 +1,109 @@
+// postMessage bridge for pages that embed the tree in an iframe (documented in the README).
+// Only messages from an origin in CONFIG.interaction.embed.allowedOrigins are read, and replies and
+// events only go to those origins. All messages carry channel: 'christmas-tree'.
+//
+// Commands (parent -> tree), each with an id of the sender's choosing:
+//   { channel, id, command: 'explode' }
+//   { channel, id, command: 'reassemble' }
+//   { channel, id, command: 'setImageSet', set: 'family' }     result { needsPassword }
+//   { channel, id, command: 'unlock', password: '...' }         Unlocks the current encrypted set
+//   { channel, id, command: 'setConfig', patch: { ... } }      Nested CONFIG values, see patchConfig
+// Every command is acked with the same id: { channel, type: 'ack', id, ok: true, result }
+// or { channel, type: 'ack', id, ok: false, error }.
+//
+// Events (tree -> parent): { channel, type: 'event', event, detail }
+//   ready (detail is getState()), stateChange { state, previous }, imageShown { index, morph },
+//   error { id, command, message } for a failed command
+import { UNSAFE_KEYS } from './configLoader.js';
+
+const CHANNEL = 'christmas-tree';
+
+let CONFIG = null;
+let api = null;
+
+const COMMANDS = {
+    explode: () => {
+        api.explode();
+    },
+    reassemble: () => {
+        api.reassemble();
+    },
+    setImageSet: ({ set }) => api.switchImageSet(set),
+    unlock: ({ password }) => api.unlock(String(password ?? '')),
+    setConfig: ({ patch }) => {
+        if (!patch || typeof patch !== 'object') {
+            throw new Error('setConfig needs a patch object');
+        }
+        // The valid values are still applied
+        const problems = api.patchConfig(withoutUnsafeKeys(patch));
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+    },
+};
+
+// Structured clone keeps an own __proto__ key, so drop those before the patch goes anywhere
+function withoutUnsafeKeys(value) {
+    if (Array.isArray(value)) return value.map(withoutUnsafeKeys);
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (UNSAFE_KEYS.includes(key)) {
+            console.warn(`Ignoring ${key} in a setConfig patch`);
+            return;
+        }
+        copy[key] = withoutUnsafeKeys(item);
+    });
+    return copy;
+}
+
+// `controller` is the window.ChristmasTree API
+export function initBridge(configRef, controller) {
+    CONFIG = configRef;
+    api = controller;
+    if (window.parent === window) return;  // Not framed
+
+    window.addEventListener('message', handleMessage);
+    api.on('stateChange', ({ state, previous }) => postEvent('stateChange', { state, previous }));
+    // The image itself can't be posted
+    api.on('imageShown', ({ index, morph }) => postEvent('imageShown', { index, morph }));
+    postEvent('ready', api.getState());
+}
+
+function isAllowed(origin) {
+    const origins = CONFIG.interaction.embed.allowedOrigins || [];
+    return origins.includes('*') || origins.includes(origin);
+}
+
+function postEvent(event, detail) {
+    (CONFIG.interaction.embed.allowedOrigins || []).forEach(origin => {
+        // A parent at a different origin doesn't get it, so posting to every allowed origin is safe
+        window.parent.postMessage({ channel: CHANNEL, type: 'event', event, detail }, origin);
+    });
+}
+
+async function handleMessage(event) {
+    const message = event.data;
+    if (!message || message.channel !== CHANNEL || !message.command) return;
+    if (!isAllowed(event.origin)) {
+        console.warn(`Ignoring ${message.command} from ${event.origin} (not in allowedOrigins)`);
+        return;
+    }
+
+    const reply = (body) => {
+        event.source.postMessage({ channel: CHANNEL, type: 'ack', id: message.id, ...body }, event.origin);
+    };
+
+    const command = COMMANDS[message.command];
+    try {
+        if (!command) throw new Error(`Unknown command: ${message.command}`);
+        const result = await command(message);
+        reply({ ok: true, result: result ?? null });
+    } catch (err) {
+        const error = err.message || String(err);
+        console.warn(`Bridge command ${message.command} failed:`, error);
+        reply({ ok: false, error });
+        postEvent('error', { id: message.id, command: message.command, message: error });
+    }
+}
@@ -0,0 +1,175 @@
+// Startup configuration on top of the defaults in config.js, applied in order:
+//   1. ?config=themes/frosty.json                 A JSON file of nested values (flat aliases work too);
+//                                                 colors can be written as "0xaaddff" strings
+//   2. ?cfg.animation.explosion.holdDuration=8000 Single values; JSON literals, 0x colors, else strings
+// Values are merged into CONFIG in place - objects key by key, arrays and everything else whole - so the
+// flat getter/setter aliases keep reading the live nested values. A value is skipped with a warning if
+// its setting is unknown or read-only, or if it would change the kind of value (a number into an object).
+// Values the schema rejects afterwards go back to their defaults, so nothing reads an invalid value.
+import { acceptsNewKey, validateConfig } from './configSchema.js';
+
+// Merging these would reach Object.prototype (also used by api.js and bridge.js)
+export const UNSAFE_KEYS = ['__proto__', 'prototype', 'constructor'];
+const HEX_COLOR = /^0x[0-9a-f]+$/i;
+
+// Returns the problems found ({ path, message }, see js/configSchema.js); those values are back at their defaults
+export async function loadConfig(CONFIG, search = window.location.search) {
+    const defaults = snapshotSections(CONFIG);
+    const params = new URLSearchParams(search);
+
+    const url = params.get('config');
+    if (url) {
+        const values = await fetchConfig(url);
+        if (values) applyOverride(CONFIG, values, url);
+    }
+
+    params.forEach((text, name) => {
+        if (!name.startsWith('cfg.') || name.length <= 4) return;
+        const override = name.slice(4).split('.').reduceRight((value, key) => ({ [key]: value }), parseConfigValue(text));
+        applyOverride(CONFIG, override, name);
+    });
+
+    return restoreInvalidValues(CONFIG, defaults);
+}
+
+// Putting one value back can break another (a removed material preset that an object still uses), so a
+// few passes; a problem is reported once
+const RESTORE_PASSES = 3;
+
+function restoreInvalidValues(CONFIG, defaults) {
+    const reported = new Map();
+    for (let pass = 0; pass < RESTORE_PASSES; pass++) {
+        const problems = validateConfig(CONFIG);
+        if (problems.length === 0) break;
+        problems.forEach(problem => {
+            const key = `${problem.path}: ${problem.message}`;
+            if (!reported.has(key)) reported.set(key, problem);
+            restoreDefault(CONFIG, defaults, problem.path.split('.'));
+        });
+    }
+    return [...reported.values()];
+}
+
+// The default at `keys`; without one the key is removed, or its parent restored if it is a list item
+function restoreDefault(CONFIG, defaults, keys) {
+    if (keys.length === 0 || keys[0] === '') return;
+    const parent = getPath(CONFIG, keys.slice(0, -1));
+    const last = keys[keys.length - 1];
+    if (!parent || typeof parent !== 'object') return;
+
+    const fallback = getPath(defaults, keys);
+    if (fallback !== undefined) {
+        parent[last] = structuredClone(fallback);
+    } else if (isPlainObject(parent) && Object.hasOwn(parent, last)) {
+        delete parent[last];
+    } else {
+        restoreDefault(CONFIG, defaults, keys.slice(0, -1));
+    }
+}
+
+function getPath(obj, keys) {
+    return keys.reduce((value, key) => (
+        value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined
+    ), obj);
+}
+
+// Copies of CONFIG's nested sections (the flat aliases are accessors over these)
+function snapshotSections(CONFIG) {
+    const sections = {};
+    Object.keys(CONFIG).forEach(key => {
+        if ('value' in Object.getOwnPropertyDescriptor(CONFIG, key)) {
+            sections[key] = structuredClone(CONFIG[key]);
+        }
+    });
+    return sections;
+}
+
+// A setter that throws only loses that override; the app still starts
+function applyOverride(CONFIG, values, source) {
+    try {
+        mergeConfig(CONFIG, values);
+    } catch (error) {
+        console.warn(`Could not apply config from ${source}:`, error.message);
+    }
+}
+
+// Fetch a JSON config file; null on failure (the defaults stay)
+export async function fetchConfig(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.warn(`Config not found: ${url}`);
+            return null;
+        }
+        // JSON has no hex literals
+        const values = JSON.parse(await response.text(), (key, value) => (
+            typeof value === 'string' && HEX_COLOR.test(value) ? Number(value) : value
+        ));
+        if (!isPlainObject(values)) {
+            console.warn(`Config ${url} is not a JSON object`);
+            return null;
+        }
+        return values;
+    } catch (error) {
+        console.warn('Could not load config:', error.message);
+        return null;
+    }
+}
+
+// `path` is the list of keys from CONFIG down to `target`
+export function mergeConfig(target, source, path = []) {
+    Object.entries(source).forEach(([key, value]) => {
+        const problem = mergeProblem(target, key, value, path);
+        if (problem) {
+            console.warn(`Ignoring config value ${[...path, key].join('.')}: ${problem}`);
+            return;
+        }
+        const current = target[key];
+        // Arrays take index keys too (?cfg.objects.0.count=40)
+        if (isPlainObject(value) && current && typeof current === 'object') {
+            mergeConfig(current, value, [...path, key]);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+// Why `value` can't go into target[key], or null if it can
+function mergeProblem(target, key, value, path) {
+    if (UNSAFE_KEYS.includes(key)) return 'not allowed';
+    if (!Object.hasOwn(target, key)) {
+        return acceptsNewKey(path, key) ? null : 'unknown setting';
+    }
+
+    const current = target[key];
+    const merges = isPlainObject(value) && current !== null && typeof current === 'object';
+    const { get, set } = Object.getOwnPropertyDescriptor(target, key);
+    // Getter-only aliases (lighting, environmentMap, ...) can still be merged into
+    if (get && !set && !merges) return 'read-only';
+
+    // null clears a value and the schema checks it; anything else keeps the kind of value already there
+    if (merges || current === null || current === undefined || value === null) return null;
+    const expected = describeKind(current);
+    const actual = describeKind(value);
+    return expected === actual ? null : `expected ${expected}, got ${actual}`;
+}
+
+function describeKind(value) {
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'an object';
+    return `a ${typeof value}`;
+}
+
+// '0.2' -> 0.2, 'true' -> true, '[1,2]' -> [1, 2], '0xff0000' -> 0xff0000, 'isometric' -> 'isometric'
+export function parseConfigValue(text) {
+    if (HEX_COLOR.test(text)) return Number(text);
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
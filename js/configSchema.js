@@ -0,0 +1,433 @@
+// Schema for the whole nested CONFIG tree (config.js). validateConfig() checks types, ranges and
+// names (tree shapes, easings, formations, object types, material presets, ...) and returns readable
+// problems; main.js reports them at startup and the API rejects runtime changes that would add one.
+// Settings not listed here are reported as unknown, so a typo doesn't silently read as undefined.
+// Keys may always be left out - the code has its own fallbacks - so only values that are present are checked.
+import { getTreeShapeNames } from './particles/shapes.js';
+import { getFormationNames } from './particles/formations.js';
+import { getGeometryTypes } from './particles/geometry.js';
+import { getEasingNames } from './animation/easing.js';
+import { getChoreographyModes } from './animation/choreography.js';
+
+// --- Schema building blocks ---
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = -Infinity, max = Infinity) => ({ type: 'number', integer: true, min, max });
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const color = { type: 'color' };
+const any = { type: 'any' };
+// `values` is a list, or a function of CONFIG for names that can be extended
+const oneOf = (values) => ({ type: 'enum', values });
+const arrayOf = (items, length) => ({ type: 'array', items, length });
+const object = (props, required = []) => ({ type: 'object', props, required });
+// Any keys, every value matching `values` (presets, paths, key bindings, ...)
+const mapOf = (values) => ({ type: 'map', values });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const fraction = number(0, 1);
+const duration = number(0);
+const vector3 = arrayOf(number(), 3);
+
+const VIEW_TYPES = ['perspective', 'isometric'];
+
+const light = object({
+    color,
+    skyColor: color,
+    groundColor: color,
+    intensity: number(0),
+    position: vector3,
+    range: number(0),
+});
+const lighting = mapOf(light);
+
+const materialProps = object({
+    materialClass: oneOf(['Standard', 'Physical']),
+    transmission: fraction,
+    thickness: number(0),
+    roughness: fraction,
+    metalness: fraction,
+    clearcoat: fraction,
+    clearcoatRoughness: fraction,
+    ior: number(1, 2.333),
+    envMapIntensity: number(0),
+});
+
+const keyframe = object({
+    position: vector3,
+    target: vector3,
+    fov: number(1, 179),
+    duration,
+}, ['position', 'target']);
+
+const choreography = object({
+    mode: oneOf(getChoreographyModes),
+    spread: duration,
+});
+
+const SCHEMA = object({
+    sceneSetup: object({
+        seed: nullable({ type: 'seed' }),
+        treeGeometry: object({
+            height: number(0),
+            radius: number(0),
+            yOffset: number(),
+            shape: oneOf(getTreeShapeNames),
+            // Shapes can be registered with their own parameters
+            shapes: mapOf(mapOf(any)),
+        }),
+        camera: object({
+            position: object({ x: number(), y: number(), z: number() }),
+            viewType: oneOf(VIEW_TYPES),
+            explodedViewType: oneOf(VIEW_TYPES),
+            isometric: object({ zoom: number(0), angle: number(0, 90) }),
+            transition: object({ duration }),
+            cinematic: object({
+                blendDuration: duration,
+                paths: mapOf(object({ loop: boolean, keyframes: arrayOf(keyframe) }, ['keyframes'])),
+            }),
+        }),
+    }),
+
+    interaction: object({
+        mode: oneOf(['parallax', 'orbit', 'cinematic']),
+        reassembleOnClick: boolean,
+        resetMouseOnLeave: boolean,
+        picking: object({
+            enabled: boolean,
+            hover: boolean,
+            glowIntensity: number(0),
+            glowSpeed: number(0),
+            clickAction: oneOf(['explode', 'spin', 'none']),
+        }),
+        touch: object({ spinFriction: fraction, verticalTiltSpringStrength: number(0) }),
+        kiosk: object({
+            enabled: boolean,
+            idleTimeout: duration,
+            interval: duration,
+            imageInterval: duration,
+        }),
+        embed: object({ allowedOrigins: arrayOf(string) }),
+        keyboard: object({ enabled: boolean, spinSpeed: number(0), tiltSpeed: number(0) }),
+        keys: mapOf(arrayOf(string)),
+        orbit: object({
+            rotateSpeed: number(0),
+            damping: fraction,
+            minPolarAngle: number(0, 180),
+            maxPolarAngle: number(0, 180),
+            autoRotate: boolean,
+            autoRotateSpeed: number(),
+            autoRotateDelay: duration,
+        }),
+        zoom: object({
+            enabled: boolean,
+            min: number(0),
+            max: number(0),
+            wheelSensitivity: number(0),
+            pinchSensitivity: number(0),
+            friction: fraction,
+        }),
+        gamepad: object({
+            enabled: boolean,
+            deadzone: fraction,
+            spinSensitivity: number(0),
+            tiltSensitivity: number(0),
+            invertY: boolean,
+            buttons: mapOf(integer(0)),
+        }),
+    }),
+
+    ui: object({
+        settingsAutoCloseSeconds: number(0),
+        modalFadeDuration: duration,
+        visibility: object({ showGUI: boolean, showTreeParticles: boolean, showFPS: boolean }),
+        performance: object({ performanceMode: boolean, uncapFPS: boolean, gpuAnimation: boolean }),
+    }),
+
+    animation: object({
+        idle: object({ floatSpeed: number(0), floatAmount: number(0) }),
+        explosion: object({
+            mode: oneOf(['tween', 'physics']),
+            explodeDuration: duration,
+            explodeEasing: oneOf(getEasingNames),
+            holdDuration: duration,
+            returnDuration: duration,
+            returnEasing: oneOf(getEasingNames),
+        }),
+        physics: object({
+            impulse: number(0),
+            impulseJitter: fraction,
+            drag: number(0),
+            gravity: number(),
+            spring: number(0),
+            settleTime: number(0),
+            settleDamping: number(0),
+            returnStiffness: number(0),
+        }),
+        choreography: object({ explode: choreography, return: choreography }),
+        timeline: object({ url: nullable(string), autoplay: boolean }),
+        parallax: object({
+            idle: object({
+                enabled: boolean,
+                strengthX: number(),
+                strengthY: number(),
+                smoothing: fraction,
+                positionStrengthX: number(),
+                positionStrengthY: number(),
+            }),
+            exploded: object({
+                enabled: boolean,
+                strengthX: number(),
+                strengthY: number(),
+                individualStrength: number(),
+            }),
+        }),
+        explosionDistribution: object({
+            innerRadius: number(0),
+            outerRadius: number(0),
+            centerMode: oneOf(['camera', 'tree', 'pointer']),
+            offset: object({ x: number(), y: number(), z: number() }),
+            formation: oneOf(getFormationNames),
+            // Formations can be registered with their own parameters
+            formations: mapOf(mapOf(any)),
+        }),
+        morph: object({
+            onExplosion: boolean,
+            source: oneOf(['alpha', 'luminance', 'auto']),
+            threshold: fraction,
+            invert: boolean,
+            resolution: integer(1),
+            width: number(0),
+            height: number(0),
+            depth: number(0),
+            colorBlend: fraction,
+            colorSpeed: fraction,
+        }),
+    }),
+
+    rendering: object({
+        postProcessing: object({
+            bloom: object({ strength: number(0), radius: number(0), threshold: number(0) }),
+            toneMappingExposure: number(0),
+        }),
+        environment: object({ topColor: color, bottomColor: color, brightness: number(0) }),
+        lighting,
+        lightingPresets: mapOf(lighting),
+    }),
+
+    showcase: object({
+        imageFolder: string,
+        displayMode: oneOf(['sequential', 'random']),
+        delay: duration,
+        box: object({
+            maxWidth: number(0),
+            maxHeight: number(0),
+            thickness: number(0),
+            backColor: color,
+            borderRadius: number(0),
+        }),
+        animation: object({ scaleSpeed: fraction, fadeSpeed: fraction }),
+        parallax: object({ rotationStrength: number(), smoothing: fraction }),
+        effects: object({ edgeSoftness: fraction }),
+        linked: object({
+            enabled: boolean,
+            objectTypes: arrayOf(oneOf(getGeometryTypes)),
+            count: integer(0),
+            zoomDistance: number(0),
+            orthoZoom: number(0),
+            focusSpeed: fraction,
+            boxScale: number(0),
+            boxOffset: number(),
+        }),
+    }),
+
+    objects: arrayOf(object({
+        type: oneOf(getGeometryTypes),
+        count: integer(0),
+        scale: number(0),
+        color,
+        emissive: color,
+        emissiveIntensity: number(0),
+        metalness: fraction,
+        roughness: fraction,
+        // null = the legacy metalness/roughness material
+        materialType: nullable(oneOf(CONFIG => Object.keys(CONFIG.materialPresets || {}))),
+        materialOverrides: materialProps,
+    }, ['type', 'count'])),
+
+    materialDefaults: materialProps,
+    materialPresets: mapOf(materialProps),
+});
+
+// Problems as { path, message } (path is dotted, e.g. 'objects.2.materialType')
+export function validateConfig(CONFIG) {
+    const problems = [];
+    checkValue(SCHEMA, CONFIG, '', CONFIG, problems);
+    return problems;
+}
+
+// Whether `key` may be added where CONFIG doesn't have it yet (`path` is the list of keys down to its
+// parent): any key of a map such as materialPresets, or a known optional setting of an object
+export function acceptsNewKey(path, key) {
+    const schema = path.reduce((node, part) => (node ? childSchema(node, part) : null), SCHEMA);
+    if (!schema) return false;
+    return schema.type === 'map' || (schema.type === 'object' && Object.hasOwn(schema.props, key));
+}
+
+export function formatProblem({ path, message }) {
+    return path ? `${path}: ${message}` : message;
+}
+
+function checkValue(schema, value, path, CONFIG, problems) {
+    const report = (message) => problems.push({ path, message });
+    if (value === null && schema.nullable) return;
+
+    switch (schema.type) {
+        case 'any':
+            return;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                report(`expected a number, got ${describe(value)}`);
+            } else if (schema.integer && !Number.isInteger(value)) {
+                report(`expected a whole number, got ${value}`);
+            } else if (value < schema.min || value > schema.max) {
+                report(`${value} is out of range (${describeRange(schema)})`);
+            }
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') report(`expected true or false, got ${describe(value)}`);
+            return;
+        case 'string':
+            if (typeof value !== 'string') report(`expected a string, got ${describe(value)}`);
+            return;
+        case 'seed':
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                report(`expected a number or word, got ${describe(value)}`);
+            }
+            return;
+        case 'color':
+            if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                report(`expected a color from 0x000000 to 0xffffff, got ${describe(value)}`);
+            }
+            return;
+        case 'enum': {
+            const values = typeof schema.values === 'function' ? schema.values(CONFIG) : schema.values;
+            if (!values.includes(value)) {
+                report(`${describe(value)} is not one of ${values.map(v => `'${v}'`).join(', ')}`);
+            }
+            return;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                report(`expected a list, got ${describe(value)}`);
+                return;
+            }
+            if (schema.length !== undefined && value.length !== schema.length) {
+                report(`expected ${schema.length} values, got ${value.length}`);
+                return;
+            }
+            if (schema.items) {
+                value.forEach((item, i) => checkValue(schema.items, item, joinPath(path, i), CONFIG, problems));
+            }
+            return;
+        case 'map':
+            if (!isPlainObject(value)) {
+                report(`expected an object, got ${describe(value)}`);
+                return;
+            }
+            Object.entries(value).forEach(([key, item]) => {
+                checkValue(schema.values, item, joinPath(path, key), CONFIG, problems);
+            });
+            return;
+        case 'object':
+            if (!isPlainObject(value)) {
+                report(`expected an object, got ${describe(value)}`);
+                return;
+            }
+            schema.required.forEach(key => {
+                if (value[key] === undefined) {
+                    problems.push({ path: joinPath(path, key), message: 'required setting is missing' });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                // The flat aliases at the top of CONFIG are getters over the nested values
+                if (!('value' in Object.getOwnPropertyDescriptor(value, key))) return;
+                const itemPath = joinPath(path, key);
+                if (!(key in schema.props)) {
+                    const suggestion = closestKey(key, Object.keys(schema.props));
+                    problems.push({
+                        path: itemPath,
+                        message: `unknown setting${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+                    });
+                    return;
+                }
+                if (value[key] !== undefined) {
+                    checkValue(schema.props[key], value[key], itemPath, CONFIG, problems);
+                }
+            });
+            return;
+    }
+}
+
+function childSchema(schema, key) {
+    switch (schema.type) {
+        case 'object':
+            return Object.hasOwn(schema.props, key) ? schema.props[key] : null;
+        case 'map':
+            return schema.values;
+        case 'array':
+            return schema.items || null;
+        default:
+            return null;
+    }
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (typeof value === 'string') return `'${value}'`;
+    if (Array.isArray(value)) return 'a list';
+    if (value && typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function describeRange({ min, max }) {
+    if (min === -Infinity) return `at most ${max}`;
+    if (max === Infinity) return `at least ${min}`;
+    return `${min} to ${max}`;
+}
+
+// A known key within two edits of `key`, for typo hints
+function closestKey(key, keys) {
+    let best = null;
+    let bestDistance = 3;
+    keys.forEach(candidate => {
+        const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
@@ -0,0 +1,40 @@
+// Event bus for things other modules (or embedding code) may want to react to; one per tree
+// Events: 'particle:click' { particle, objectIndex, instanceId, point }
+//         'timeline:start' { name, length }, 'timeline:cue' { type, cue }, 'timeline:end' { name }
+//         'state:change' { state, previous }, 'image:shown' { index, image, morph },
+//         'imageset:loaded' { id, count }, 'fps' { fps }
+export function createBus() {
+    const listeners = new Map();
+
+    // Returns a function that removes the listener
+    function on(name, fn) {
+        if (!listeners.has(name)) listeners.set(name, new Set());
+        listeners.get(name).add(fn);
+        return () => off(name, fn);
+    }
+
+    function off(name, fn) {
+        const set = listeners.get(name);
+        if (set) set.delete(fn);
+    }
+
+    function emit(name, detail) {
+        const set = listeners.get(name);
+        if (!set) return;
+        set.forEach(fn => {
+            // One broken listener shouldn't stop the others (or the click that emitted)
+            try {
+                fn(detail);
+            } catch (err) {
+                console.warn(`Listener for ${name} failed:`, err);
+            }
+        });
+    }
+
+    // Drops every listener (the tree is being taken down)
+    function clear() {
+        listeners.clear();
+    }
+
+    return { on, off, emit, clear };
+}
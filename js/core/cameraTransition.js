@@ -0,0 +1,111 @@
+// Animated switch between the perspective and isometric cameras.
+// A stand-in camera renders the blend: its projection matrix is interpolated between the two real
+// cameras' matrices every frame, so zoom, orbit and resize changes on either side carry through.
+import * as THREE from 'three';
+
+const _target = new THREE.Vector3();
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// Matrix weight for the orthographic side so the perspective foreshortening fades out evenly.
+// A plain lerp keeps almost full perspective until the very end: w = (1 - t)·depth + t is dominated
+// by the depth term, so the weight is remapped to make the depth share of w fall linearly instead.
+function orthographicWeight(amount, depth) {
+    const perspective = 1 - amount;
+    return depth * (1 - perspective) / (depth + perspective * (1 - depth));
+}
+
+// One tree's camera blends
+export function createCameraTransition() {
+    const transitionCamera = new THREE.PerspectiveCamera();
+    // Its projection is written directly; anything calling this (e.g. a resize) must not overwrite the blend
+    transitionCamera.updateProjectionMatrix = () => {};
+
+    let fromCamera = null;
+    let toCamera = null;
+    let startTime = null;     // Animation clock time the blend started at; null until its first frame
+    let duration = 0;
+    let frameTime = 0;        // Animation clock time of the latest frame
+    let onComplete = null;
+
+    function isCameraTransitionActive() {
+        return toCamera !== null;
+    }
+
+    // Drop an unfinished blend without calling its completion (the caller picks the camera)
+    function cancelCameraTransition() {
+        fromCamera = null;
+        toCamera = null;
+        onComplete = null;
+    }
+
+    // Start blending from `from` to `to` over `durationMs`; `complete(to)` runs once the blend finishes.
+    // Returns the camera to render with meanwhile. The blend runs on the animation clock from the next frame.
+    function startCameraTransition(from, to, durationMs, complete) {
+        let progress = 0;
+        if (toCamera) {
+            if (to === toCamera) return transitionCamera;
+            // Switching back mid-blend reverses from the current point instead of jumping
+            const reached = startTime === null ? 0 : Math.min((frameTime - startTime) / duration, 1);
+            progress = 1 - reached;
+            fromCamera = toCamera;
+            toCamera = to;
+            startTime = frameTime - progress * durationMs;
+        } else {
+            fromCamera = from;
+            toCamera = to;
+            startTime = null;
+        }
+
+        duration = durationMs;
+        onComplete = complete;
+        applyBlend(progress);
+        return transitionCamera;
+    }
+
+    // Called every frame with the animation clock (after zoom/orbit have placed the real cameras)
+    function updateCameraTransition(time) {
+        frameTime = time;
+        if (!toCamera) return;
+
+        if (startTime === null) startTime = time;
+        const progress = Math.min((time - startTime) / duration, 1);
+        if (progress >= 1) {
+            const finished = toCamera;
+            const complete = onComplete;
+            cancelCameraTransition();
+            if (complete) complete(finished);
+            return;
+        }
+        applyBlend(progress);
+    }
+
+    // Interpolate the stand-in camera `progress` (0-1) of the way from one camera to the other
+    function applyBlend(progress) {
+        const amount = smoothstep(progress);
+        const toOrtho = toCamera.isOrthographicCamera;
+        const perspectiveCamera = toOrtho ? fromCamera : toCamera;
+        const depth = Math.max(perspectiveCamera.position.distanceTo(_target.set(0, 0, 0)), 1);
+        const orthoAmount = orthographicWeight(toOrtho ? amount : 1 - amount, depth);
+        const weight = toOrtho ? orthoAmount : 1 - orthoAmount;
+
+        const from = fromCamera.projectionMatrix.elements;
+        const to = toCamera.projectionMatrix.elements;
+        const blended = transitionCamera.projectionMatrix.elements;
+        for (let i = 0; i < 16; i++) {
+            blended[i] = from[i] + (to[i] - from[i]) * weight;
+        }
+        transitionCamera.projectionMatrixInverse.copy(transitionCamera.projectionMatrix).invert();
+
+        // The view glides between the two camera positions on the eased curve
+        transitionCamera.position.lerpVectors(fromCamera.position, toCamera.position, amount);
+        transitionCamera.quaternion.slerpQuaternions(fromCamera.quaternion, toCamera.quaternion, amount);
+        transitionCamera.near = Math.min(fromCamera.near, toCamera.near);
+        transitionCamera.far = Math.max(fromCamera.far, toCamera.far);
+        transitionCamera.updateMatrixWorld();
+    }
+
+    return { isCameraTransitionActive, cancelCameraTransition, startCameraTransition, updateCameraTransition };
+}
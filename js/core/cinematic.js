@@ -0,0 +1,244 @@
+// Cinematic camera: the perspective camera flies scripted keyframe paths (CONFIG.sceneSetup.camera.cinematic).
+// Active while CONFIG.interactionMode === 'cinematic', while the GUI previews a path, or during a scripted shot.
+// Each animation state plays its own path; switching paths eases over from wherever the camera is.
+import * as THREE from 'three';
+
+const ORIGIN = new THREE.Vector3(0, 0, 0);
+
+// Path played in each animation state
+const STATE_PATHS = {
+    IDLE: 'idle',
+    EXPLODING: 'explode',
+    MORPHING: 'explode',
+    RETURNING: 'return',
+};
+
+const _sample = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 50 };
+
+// Catmull-Rom splines for positions and targets plus keyframe timing; null if the path is unusable
+function compilePath(definition, name) {
+    const keyframes = definition && definition.keyframes;
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        console.warn(`Cinematic path "${name}" has no keyframes`);
+        return null;
+    }
+
+    // A single keyframe is a fixed shot; the spline needs at least two points
+    const frames = keyframes.length === 1 ? [keyframes[0], keyframes[0]] : keyframes;
+    const loop = !!definition.loop && keyframes.length > 1;
+    const toVector = (value) => new THREE.Vector3().fromArray(value || [0, 0, 0]);
+    const segmentCount = loop ? frames.length : frames.length - 1;
+
+    // Cumulative start time of each segment
+    const times = [0];
+    for (let i = 0; i < segmentCount; i++) {
+        times.push(times[i] + Math.max(frames[i].duration || 0, 1));
+    }
+
+    return {
+        name,
+        loop,
+        positions: new THREE.CatmullRomCurve3(frames.map(k => toVector(k.position)), loop, 'centripetal'),
+        targets: new THREE.CatmullRomCurve3(frames.map(k => toVector(k.target)), loop, 'centripetal'),
+        fovs: frames.map(k => k.fov || 50),
+        times,
+        segmentCount,
+        total: times[segmentCount],
+    };
+}
+
+// Uniform Catmull-Rom for a single value
+function catmullRom(t, p0, p1, p2, p3) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+function samplePath(compiled, elapsed, out) {
+    const time = compiled.loop ? elapsed % compiled.total : Math.min(elapsed, compiled.total);
+
+    let segment = 0;
+    while (segment < compiled.segmentCount - 1 && time >= compiled.times[segment + 1]) segment++;
+    const start = compiled.times[segment];
+    const fraction = Math.min((time - start) / (compiled.times[segment + 1] - start), 1);
+    const u = (segment + fraction) / compiled.segmentCount;
+
+    compiled.positions.getPoint(u, out.position);
+    compiled.targets.getPoint(u, out.target);
+
+    // Neighbouring FOVs wrap on loops and clamp at the ends otherwise
+    const { fovs } = compiled;
+    const n = fovs.length;
+    const at = (i) => compiled.loop ? fovs[(i + n) % n] : fovs[Math.max(0, Math.min(n - 1, i))];
+    out.fov = catmullRom(fraction, at(segment - 1), at(segment), at(segment + 1), at(segment + 2));
+    return out;
+}
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// `context`: the perspective camera and the tree's zoom (js/interaction/zoom.js).
+// `callbacks.onActiveChange()` runs when the mode starts or stops, so the caller can switch cameras
+export function createCinematic(CONFIG, context, callbacks = {}) {
+    const { zoom } = context;
+    const camera = context.perspectiveCamera;
+    const onActiveChange = callbacks.onActiveChange;
+
+    let active = false;
+    let animationState = 'IDLE';
+    let path = null;          // Compiled path playing now (see compilePath)
+    let pathName = null;
+    let pathStart = null;     // Animation clock time the path and blend started at; null until their first frame
+    let blendStart = null;
+    let blendDuration = 0;
+    let homeFov = 0;
+    let preview = null;       // { path, progress } while the GUI scrubs a path
+    let shot = null;          // Compiled path of a scripted shot (see setCinematicShot), played instead of the state's
+    let shotBlendDuration = 0;
+
+    // Pose the camera was in when the current path started, and the pose applied last frame
+    const blendFrom = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 50 };
+    const current = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 50 };
+
+    function isCinematicActive() {
+        return active;
+    }
+
+    function getCinematicPathNames() {
+        return Object.keys(CONFIG.sceneSetup.camera.cinematic.paths);
+    }
+
+    // Called on every animation state change; starts that state's path if it differs from the current one
+    function setCinematicState(newState) {
+        animationState = newState;
+        if (active && !shot) startPath(STATE_PATHS[newState]);
+    }
+
+    // Hold the camera at `progress` (0-1) along a path, whatever the mode; stopCinematicPreview() ends it
+    function previewCinematicPath(name, progress) {
+        const compiled = compileNamedPath(name);
+        preview = compiled ? { path: compiled, progress } : null;
+    }
+
+    function stopCinematicPreview() {
+        if (!preview) return;
+        preview = null;
+        // Ease back onto the live path from the previewed pose
+        if (active) startPath(pathName, true);
+    }
+
+    // Take the camera for a scripted shot (timeline 'camera' cues), eased into over `durationMs` and held
+    // until the next shot. `target` is a path name or a single keyframe { position, target, fov };
+    // null hands the camera back to the mode (outside cinematic mode it returns to the configured view).
+    function setCinematicShot(target, durationMs = 0) {
+        if (target === null) {
+            if (!shot) return;
+            shot = null;
+            if (active) startPath(STATE_PATHS[animationState], true);
+            return;
+        }
+
+        const compiled = typeof target === 'string'
+            ? compileNamedPath(target)
+            : compilePath({ keyframes: [target] }, 'shot');
+        if (!compiled) return;
+
+        shot = compiled;
+        shotBlendDuration = durationMs;
+        if (active) startBlend(durationMs);
+    }
+
+    function compileNamedPath(name) {
+        return compilePath(CONFIG.sceneSetup.camera.cinematic.paths[name], name);
+    }
+
+    function startPath(name, force = false) {
+        if (name === pathName && !force) return;
+        pathName = name;
+        path = compileNamedPath(name);
+        startBlend(CONFIG.sceneSetup.camera.cinematic.blendDuration);
+    }
+
+    // Restart the playing path's clock (from the next frame) and ease onto it from the current pose
+    function startBlend(durationMs) {
+        pathStart = null;
+        blendStart = null;
+        blendDuration = durationMs;
+        blendFrom.position.copy(current.position);
+        blendFrom.target.copy(current.target);
+        blendFrom.fov = current.fov;
+    }
+
+    function enterCinematic() {
+        active = true;
+        homeFov = camera.fov;
+        // Start the blend from the camera as it is now
+        current.position.copy(camera.position);
+        current.target.copy(ORIGIN);
+        current.fov = camera.fov;
+        pathName = null;
+        startPath(STATE_PATHS[animationState]);
+        if (shot) startBlend(shotBlendDuration);
+        if (onActiveChange) onActiveChange();
+    }
+
+    function exitCinematic() {
+        active = false;
+        path = null;
+        pathName = null;
+
+        // Back to the configured view
+        camera.fov = homeFov;
+        camera.updateProjectionMatrix();
+        camera.position.set(CONFIG.cameraX, CONFIG.cameraY, CONFIG.cameraZ).divideScalar(zoom.getZoomLevel());
+        camera.lookAt(ORIGIN);
+        zoom.refreshZoom();
+        if (onActiveChange) onActiveChange();
+    }
+
+    // Called every frame with the animation clock after zoom and orbit, so the path owns the perspective
+    // camera while active
+    function updateCinematic(time) {
+        const wantActive = CONFIG.interactionMode === 'cinematic' || preview !== null || shot !== null;
+        if (wantActive !== active) {
+            if (wantActive) enterCinematic();
+            else exitCinematic();
+        }
+        if (!active) return;
+
+        if (preview) {
+            samplePath(preview.path, preview.progress * preview.path.total, current);
+        } else if (shot || path) {
+            if (pathStart === null) {
+                pathStart = time;
+                blendStart = time;
+            }
+            samplePath(shot || path, time - pathStart, _sample);
+            const amount = blendDuration > 0 ? smoothstep(Math.min((time - blendStart) / blendDuration, 1)) : 1;
+            current.position.lerpVectors(blendFrom.position, _sample.position, amount);
+            current.target.lerpVectors(blendFrom.target, _sample.target, amount);
+            current.fov = blendFrom.fov + (_sample.fov - blendFrom.fov) * amount;
+        }
+
+        // Wheel/pinch zoom still works: it moves the camera along its view ray toward the target
+        camera.position.subVectors(current.position, current.target).divideScalar(zoom.getZoomLevel()).add(current.target);
+        if (camera.fov !== current.fov) {
+            camera.fov = current.fov;
+            camera.updateProjectionMatrix();
+        }
+        camera.lookAt(current.target);
+    }
+
+    return {
+        isCinematicActive,
+        getCinematicPathNames,
+        setCinematicState,
+        previewCinematicPath,
+        stopCinematicPreview,
+        setCinematicShot,
+        updateCinematic,
+    };
+}
@@ -0,0 +1,93 @@
+// Where a tree runs: the page itself (index.html), or the shadow root of a <christmas-tree> element
+// (js/element.js). Modules look their elements up, listen for input and read startup parameters
+// through here, and pointer positions are measured against the canvas rather than the window.
+//
+// `shadowRoot` is null for the page. `startupParams` (URLSearchParams) stands in for the page URL:
+// ?set=, ?view=, ?kiosk=, ?config= and the rest. `appUrl` is index.html's URL, which relative paths in
+// CONFIG (images, timelines) are resolved against instead of the host page's.
+export function createDom(shadowRoot = null, startupParams = new URLSearchParams(window.location.search), appUrl = document.baseURI) {
+    const root = shadowRoot || document;
+    const host = shadowRoot ? shadowRoot.host : null;   // The <christmas-tree> element; null when the app is the page
+    let canvas = null;
+    const removers = [];
+
+    // The <christmas-tree> element, or null
+    function getHost() {
+        return host;
+    }
+
+    function getElement(id) {
+        return root.getElementById(id);
+    }
+
+    // Gets the 'kiosk' class and the hover cursor
+    function getAppBody() {
+        return host ? root.getElementById('app') : document.body;
+    }
+
+    // Pointer, wheel and key listeners go here, so an element only reacts to input over itself
+    function getInputTarget() {
+        return host || document;
+    }
+
+    function getFullscreenTarget() {
+        return host || document.documentElement;
+    }
+
+    function getStartupParams() {
+        return startupParams;
+    }
+
+    function resolveAppUrl(path) {
+        return new URL(path, appUrl).href;
+    }
+
+    function setCanvas(element) {
+        canvas = element;
+    }
+
+    // The canvas box in client coordinates (the window until the renderer exists)
+    function getCanvasRect() {
+        if (!canvas) return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+        return canvas.getBoundingClientRect();
+    }
+
+    // Client coordinates to normalized device coordinates over the canvas (-1 to 1, y up)
+    function toCanvasPointer(clientX, clientY) {
+        const rect = getCanvasRect();
+        return {
+            x: ((clientX - rect.left) / rect.width) * 2 - 1,
+            y: -((clientY - rect.top) / rect.height) * 2 + 1,
+        };
+    }
+
+    // addEventListener for targets that outlive the tree (window, document, the host); dispose() removes them
+    function listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        removers.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    function dispose() {
+        removers.splice(0).forEach(remove => remove());
+    }
+
+    return {
+        getHost,
+        getElement,
+        getAppBody,
+        getInputTarget,
+        getFullscreenTarget,
+        getStartupParams,
+        resolveAppUrl,
+        setCanvas,
+        getCanvasRect,
+        toCanvasPointer,
+        listen,
+        dispose,
+    };
+}
+
+// The element an event started on (listeners on the host only see the host as event.target)
+export function getEventTarget(event) {
+    return event.composedPath ? event.composedPath()[0] : event.target;
+}
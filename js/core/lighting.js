@@ -1,7 +1,11 @@
 import * as THREE from 'three';
 
+// Lighting as configured at startup, per set of lights; presets are applied on top of this
+const baseLighting = new WeakMap();
+
 export function createLighting(scene, CONFIG) {
     const lights = {};
+    baseLighting.set(lights, structuredClone(CONFIG.lighting));
 
     lights.ambient = new THREE.AmbientLight(
         CONFIG.lighting.ambient.color,
@@ -54,3 +58,39 @@ export function createLighting(scene, CONFIG) {
 
     return lights;
 }
+
+// Apply a preset from CONFIG.lightingPresets over the startup lighting ('default' = no overrides).
+// Returns false for an unknown preset.
+export function applyLightingPreset(lights, CONFIG, name) {
+    const preset = name === 'default' ? {} : CONFIG.lightingPresets[name];
+    if (!preset) {
+        console.warn(`Unknown lighting preset: ${name}`);
+        return false;
+    }
+
+    const base = baseLighting.get(lights);
+    Object.keys(base).forEach(key => {
+        CONFIG.lighting[key] = { ...base[key], ...preset[key] };
+    });
+    updateLights(lights, CONFIG);
+    return true;
+}
+
+// Push CONFIG.lighting to the lights (after it was changed in place)
+export function updateLights(lights, CONFIG) {
+    const { ambient, hemisphere, keyLight, fillLight, rimLight, overheadLight, topGlow } = CONFIG.lighting;
+    lights.ambient.color.setHex(ambient.color);
+    lights.ambient.intensity = ambient.intensity;
+    lights.hemi.color.setHex(hemisphere.skyColor);
+    lights.hemi.groundColor.setHex(hemisphere.groundColor);
+    lights.hemi.intensity = hemisphere.intensity;
+    [[lights.key, keyLight], [lights.fill, fillLight], [lights.rim, rimLight], [lights.overhead, overheadLight]]
+        .forEach(([light, settings]) => {
+            light.color.setHex(settings.color);
+            light.intensity = settings.intensity;
+            light.position.set(...settings.position);
+        });
+    lights.topGlow.color.setHex(topGlow.color);
+    lights.topGlow.intensity = topGlow.intensity;
+    lights.topGlow.distance = topGlow.range;
+}
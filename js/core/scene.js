@@ -47,7 +47,7 @@ export function createOrthographicCamera(CONFIG) {
 
 export function createRenderer(container, CONFIG) {
     const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setSize(container.clientWidth || window.innerWidth, container.clientHeight || window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = CONFIG.toneMappingExposure;
@@ -57,26 +57,43 @@ export function createRenderer(container, CONFIG) {
     return renderer;
 }
 
-export function updateCameraOnStateChange(newState, CONFIG, state) {
-    const targetViewType = (newState === 'EXPLODING')
+// `views`: the tree's cameraTransition and cinematic (js/core/).
+// `onCameraChange(camera)` runs whenever state.camera is swapped, including when a blend finishes
+export function updateCameraOnStateChange(newState, CONFIG, state, views, onCameraChange) {
+    const { cameraTransition, cinematic } = views;
+    // Cinematic paths are flown with the perspective camera in every state
+    let targetViewType = (newState === 'EXPLODING' || newState === 'MORPHING')
         ? CONFIG.explodedViewType
         : CONFIG.viewType;
+    if (cinematic.isCinematicActive()) targetViewType = 'perspective';
 
     const newCamera = targetViewType === 'isometric'
         ? state.orthographicCamera
         : state.perspectiveCamera;
 
-    if (state.camera !== newCamera) {
-        state.camera = newCamera;
+    const setCamera = (camera) => {
+        if (state.camera === camera) return;
+        state.camera = camera;
         if (state.renderPass) {
             state.renderPass.camera = state.camera;
         }
+        if (onCameraChange) onCameraChange(camera);
+    };
+
+    if (CONFIG.cameraTransitionDuration <= 0) {
+        cameraTransition.cancelCameraTransition();
+        setCamera(newCamera);
+    } else if (cameraTransition.isCameraTransitionActive() || state.camera !== newCamera) {
+        // Blend through the stand-in camera, then hand over to the real one
+        setCamera(cameraTransition.startCameraTransition(state.camera, newCamera, CONFIG.cameraTransitionDuration, setCamera));
     }
 }
 
-export function updateOrthographicCameraZoom(camera, CONFIG) {
-    const aspect = window.innerWidth / window.innerHeight;
-    const frustumSize = CONFIG.isometricZoom;
+// `zoom` > 1 shrinks the frustum (zooms in) relative to CONFIG.isometricZoom
+// The resize handler keeps camera.userData.aspect at the container's aspect
+export function updateOrthographicCameraZoom(camera, CONFIG, zoom = 1) {
+    const aspect = camera.userData.aspect ?? window.innerWidth / window.innerHeight;
+    const frustumSize = CONFIG.isometricZoom / zoom;
     camera.left = frustumSize * aspect / -2;
     camera.right = frustumSize * aspect / 2;
     camera.top = frustumSize / 2;
@@ -0,0 +1,186 @@
+// <christmas-tree> custom element for putting the tree on any page:
+//
+//   <script type="importmap">{ "imports": { "three": ..., "three/addons/": ..., "dat.gui": ... } }</script>
+//   <script type="module" src="js/element.js"></script>
+//   <christmas-tree image-set="family" view-type="isometric" style="height: 480px"></christmas-tree>
+//
+// The element renders into its shadow root - canvas, settings modals and FPS overlay included, taken
+// from index.html - and the app follows the element's size (ResizeObserver) and only takes input over
+// it (see js/core/dom.js). The page needs index.html's import map.
+//
+// Each element builds its own tree (js/app.js), so several can share a page. Removing an element stops
+// its tree and frees it; moving one within the page keeps it running.
+//
+// Attributes (all can change later):
+//   image-set     Image set id from the manifest
+//   view-type     'perspective' or 'isometric'
+//   kiosk         Kiosk mode (present = on, "false" or "0" = off)
+//   config-src    URL of a JSON config file (see js/configLoader.js); a later change is applied with patchConfig
+//
+// `element.controller` is the tree's ChristmasTree API (see the README), null until the element fires 'ready'.
+import { fetchConfig } from './configLoader.js';
+import { createApp } from './app.js';
+import { createDom } from './core/dom.js';
+
+const APP_URL = new URL('../index.html', import.meta.url);
+
+// The app's own styles apply inside the shadow root; these make them fit a box instead of the window
+const ELEMENT_STYLE = `
+    :host { display: block; position: relative; width: 100%; height: 400px; background: #050505; overflow: hidden; }
+    :host([hidden]) { display: none; }
+    :host(:focus) { outline: none; }
+    #app {
+        position: absolute;
+        inset: 0;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    }
+    #canvas-container { width: 100%; height: 100%; }
+    .modal, #settings-icon { position: absolute; }
+`;
+
+class ChristmasTreeElement extends HTMLElement {
+    static observedAttributes = ['image-set', 'view-type', 'kiosk', 'config-src'];
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.app = null;
+        this.api = null;
+        this.starting = false;
+        this.pending = new Set();   // Attributes changed while starting
+    }
+
+    get controller() {
+        return this.api;
+    }
+
+    connectedCallback() {
+        if (this.app || this.starting) return;     // Moved within the page
+        // Keyboard shortcuts need focus on the element
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+        this.start();
+    }
+
+    // A move within the page disconnects and reconnects in one go, so wait to see which this is
+    disconnectedCallback() {
+        queueMicrotask(() => {
+            if (!this.isConnected) this.stop();
+        });
+    }
+
+    attributeChangedCallback(name, oldValue) {
+        if (!(this.api || this.starting) || oldValue === this.getAttribute(name)) return;
+        if (!this.api) {
+            // Still starting: apply it once the API exists (the startup parameters may be read already)
+            this.pending.add(name);
+            return;
+        }
+        this.applyAttribute(name);
+    }
+
+    async start() {
+        this.starting = true;
+        let app = null;
+        try {
+            await this.loadMarkup();
+            // Removed while the markup loaded
+            if (this.isConnected) {
+                app = await createApp(createDom(this.shadowRoot, this.startupParams(), APP_URL.href));
+            }
+        } catch (err) {
+            console.warn('<christmas-tree> could not start:', err.message);
+        }
+        this.starting = false;
+
+        if (!app) {
+            this.pending.clear();
+            return;
+        }
+        // Removed while the tree was being built
+        if (!this.isConnected) {
+            app.dispose();
+            this.shadowRoot.replaceChildren();
+            this.pending.clear();
+            return;
+        }
+
+        this.app = app;
+        this.api = app.api;
+        this.pending.forEach(name => this.applyAttribute(name));
+        this.pending.clear();
+        this.dispatchEvent(new CustomEvent('ready', { detail: { controller: this.api } }));
+    }
+
+    // Stops the tree and frees its GPU memory; connecting the element again builds a new one
+    stop() {
+        if (!this.app) return;
+        this.app.dispose();
+        this.app = null;
+        this.api = null;
+        this.shadowRoot.replaceChildren();
+    }
+
+    // index.html's styles and markup, without its scripts
+    async loadMarkup() {
+        const response = await fetch(APP_URL);
+        if (!response.ok) throw new Error(`${APP_URL.href} not found`);
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+        const app = document.createElement('div');
+        app.id = 'app';
+        page.body.querySelectorAll('script').forEach(script => script.remove());
+        app.append(...page.body.childNodes);
+
+        const style = document.createElement('style');
+        style.textContent = ELEMENT_STYLE;
+        this.shadowRoot.replaceChildren(...page.head.querySelectorAll('style'), style, app);
+    }
+
+    // Startup attributes as the page URL parameters app.js reads
+    startupParams() {
+        const params = new URLSearchParams();
+        const imageSet = this.getAttribute('image-set');
+        const viewType = this.getAttribute('view-type');
+        const configSrc = this.getAttribute('config-src');
+        if (imageSet) params.set('set', imageSet);
+        if (viewType) params.set('view', viewType);
+        if (configSrc) params.set('config', new URL(configSrc, document.baseURI).href);
+        if (this.hasAttribute('kiosk')) params.set('kiosk', this.kioskEnabled() ? '1' : '0');
+        return params;
+    }
+
+    applyAttribute(name) {
+        const value = this.getAttribute(name);
+        switch (name) {
+            case 'image-set':
+                if (value) this.api.switchImageSet(value).catch(err => console.warn(err.message));
+                break;
+            case 'view-type':
+                if (value) this.api.setConfig('viewType', value);
+                break;
+            case 'kiosk':
+                this.api.setConfig('kioskMode', this.kioskEnabled());
+                break;
+            case 'config-src':
+                this.applyConfigSrc();
+                break;
+        }
+    }
+
+    kioskEnabled() {
+        const value = this.getAttribute('kiosk');
+        return value !== null && value !== 'false' && value !== '0';
+    }
+
+    async applyConfigSrc() {
+        const src = this.getAttribute('config-src');
+        if (!src) return;
+
+        const values = await fetchConfig(new URL(src, document.baseURI).href);
+        if (values) this.api.patchConfig(values);
+    }
+}
+
+if (!customElements.get('christmas-tree')) {
+    customElements.define('christmas-tree', ChristmasTreeElement);
+}
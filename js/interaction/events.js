@@ -1,107 +1,196 @@
 // Click/touch handlers and resize events
+import { updateOrthographicCameraZoom } from '../core/scene.js';
+import { getEventTarget } from '../core/dom.js';
 
-let returnTimer = null;
-let CONFIG = null;
+const TAP_THRESHOLD = 10; // pixels - movement less than this is considered a tap
 
-// Callbacks set during initialization
-let onExplosion = null;
-let onReturn = null;
-let getAnimationState = null;
-let setAnimationState = null;
+// `context`: the tree's zoom and dom. `callbacks`: onExplosion(pointer), onMorph(image, pointer),
+// onReturn(pointer), canMorph(), onParticleClick(pointer), getAnimationState() and setAnimationState(state)
+export function createEvents(CONFIG, context, callbacks) {
+    const { zoom, dom } = context;
+    const {
+        onExplosion,
+        onMorph,
+        onReturn,
+        canMorph,
+        onParticleClick,
+        getAnimationState,
+        setAnimationState,
+    } = callbacks;
 
-// Touch tracking to distinguish tap from drag
-let touchStartPos = null;
-const TAP_THRESHOLD = 10; // pixels - movement less than this is considered a tap
+    let returnTimer = null;
+    let autoReturn = true;  // Off while a timeline decides when to reassemble
+    let resizeObserver = null;
 
-export function initEvents(configRef, callbacks) {
-    CONFIG = configRef;
-    onExplosion = callbacks.onExplosion;
-    onReturn = callbacks.onReturn;
-    getAnimationState = callbacks.getAnimationState;
-    setAnimationState = callbacks.setAnimationState;
+    // Touch tracking to distinguish tap from drag
+    let touchStartPos = null;
+    let mouseDownPos = null;  // Orbit mode only - see handleMouseDown
+    let multiTouch = false;   // A second finger joined (pinch) - never a tap until all fingers lift
 
-    window.addEventListener('mousedown', triggerExplosion);
+    // Presses start over the app; releases count anywhere so a drag that leaves it still ends
+    dom.listen(dom.getInputTarget(), 'mousedown', handleMouseDown);
+    dom.listen(window, 'mouseup', handleMouseUp);
 
     // For touch: track start position and only trigger on tap (not drag)
-    window.addEventListener('touchstart', handleTouchStart, { passive: false });
-    window.addEventListener('touchend', handleTouchEnd, { passive: false });
-}
+    dom.listen(dom.getInputTarget(), 'touchstart', handleTouchStart, { passive: false });
+    dom.listen(window, 'touchend', handleTouchEnd, { passive: false });
 
-export function initResizeHandler(context) {
-    const {
-        perspectiveCamera,
-        orthographicCamera,
-        renderer,
-        composer,
-    } = context;
-
-    window.addEventListener('resize', () => {
-        const newAspect = window.innerWidth / window.innerHeight;
-
-        // Update perspective camera
-        perspectiveCamera.aspect = newAspect;
-        perspectiveCamera.updateProjectionMatrix();
-
-        // Update orthographic camera
-        const frustumSize = CONFIG.isometricZoom;
-        orthographicCamera.left = frustumSize * newAspect / -2;
-        orthographicCamera.right = frustumSize * newAspect / 2;
-        orthographicCamera.top = frustumSize / 2;
-        orthographicCamera.bottom = frustumSize / -2;
-        orthographicCamera.updateProjectionMatrix();
-
-        renderer.setSize(window.innerWidth, window.innerHeight);
-        composer.setSize(window.innerWidth, window.innerHeight);
-    });
-}
+    // Follows the canvas container rather than the window, so a <christmas-tree> element sizes to its box
+    function initResizeHandler(container, views) {
+        const {
+            perspectiveCamera,
+            orthographicCamera,
+            renderer,
+            composer,
+        } = views;
+
+        resizeObserver = new ResizeObserver(() => {
+            const width = container.clientWidth;
+            const height = container.clientHeight;
+            if (width === 0 || height === 0) return;  // Hidden; keep the last size
 
-function handleTouchStart(event) {
-    // Ignore touches on dat.GUI elements
-    if (event.target.closest('.dg')) return;
+            // Update perspective camera
+            perspectiveCamera.aspect = width / height;
+            perspectiveCamera.updateProjectionMatrix();
 
-    // Prevent default to avoid scroll/zoom
-    event.preventDefault();
+            // Update orthographic camera (keeping the user's zoom)
+            orthographicCamera.userData.aspect = width / height;
+            updateOrthographicCameraZoom(orthographicCamera, CONFIG, zoom.getZoomLevel());
 
-    // Record start position
-    if (event.touches.length > 0) {
-        touchStartPos = {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY,
-        };
+            renderer.setSize(width, height);
+            composer.setSize(width, height);
+        });
+        resizeObserver.observe(container);
     }
-}
 
-function handleTouchEnd(event) {
-    // Ignore touches on dat.GUI elements
-    if (event.target.closest('.dg')) return;
+    // Orbit mode drags with the mouse, so a click fires on release and only if the mouse barely moved
+    function handleMouseDown(event) {
+        if (CONFIG.interactionMode !== 'orbit') {
+            triggerExplosion(event);
+            return;
+        }
+        mouseDownPos = { x: event.clientX, y: event.clientY };
+    }
+
+    function handleMouseUp(event) {
+        if (!mouseDownPos) return;
+        const dx = event.clientX - mouseDownPos.x;
+        const dy = event.clientY - mouseDownPos.y;
+        mouseDownPos = null;
+
+        if (Math.sqrt(dx * dx + dy * dy) < TAP_THRESHOLD) {
+            triggerExplosion(event);
+        }
+    }
 
-    if (!touchStartPos) return;
+    function handleTouchStart(event) {
+        // Ignore touches on dat.GUI elements
+        if (getEventTarget(event).closest('.dg')) return;
 
-    // Check if this was a tap (not a drag)
-    const endPos = event.changedTouches[0];
-    const dx = endPos.clientX - touchStartPos.x;
-    const dy = endPos.clientY - touchStartPos.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+        // Prevent default to avoid scroll/zoom
+        event.preventDefault();
 
-    touchStartPos = null;
+        if (event.touches.length > 1) {
+            multiTouch = true;
+            touchStartPos = null;
+            return;
+        }
 
-    // Only trigger explosion if it was a tap (minimal movement)
-    if (distance < TAP_THRESHOLD) {
-        triggerExplosion(event);
+        // Record start position
+        if (event.touches.length > 0) {
+            touchStartPos = {
+                x: event.touches[0].clientX,
+                y: event.touches[0].clientY,
+            };
+        }
     }
-}
 
-function triggerExplosion(event) {
-    // Ignore clicks on dat.GUI elements
-    const target = event.target;
-    if (target.closest('.dg')) {
-        return; // Click was on GUI, ignore it
+    function handleTouchEnd(event) {
+        // Ignore touches on dat.GUI elements
+        if (getEventTarget(event).closest('.dg')) return;
+
+        if (multiTouch) {
+            if (event.touches.length === 0) multiTouch = false;
+            return;
+        }
+
+        if (!touchStartPos) return;
+
+        // Check if this was a tap (not a drag)
+        const endPos = event.changedTouches[0];
+        const dx = endPos.clientX - touchStartPos.x;
+        const dy = endPos.clientY - touchStartPos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        touchStartPos = null;
+
+        // Only trigger explosion if it was a tap (minimal movement)
+        if (distance < TAP_THRESHOLD) {
+            triggerExplosion(event);
+        }
+    }
+
+    // Pointer position of a mouse or touch event in normalized device coordinates
+    function getEventPointer(event) {
+        const point = event.changedTouches ? event.changedTouches[0] : event;
+        if (!point || point.clientX === undefined) return null;
+        return dom.toCanvasPointer(point.clientX, point.clientY);
+    }
+
+    function triggerExplosion(event) {
+        // Ignore clicks on dat.GUI elements
+        const target = getEventTarget(event);
+        if (target.closest('.dg')) {
+            return; // Click was on GUI, ignore it
+        }
+
+        const pointer = getEventPointer(event);
+
+        // A click on an ornament may be handled on its own instead of exploding
+        if (onParticleClick && pointer && onParticleClick(pointer)) return;
+
+        toggleExplosion(pointer);
     }
 
-    const state = getAnimationState();
+    // Explode, or reassemble when exploded - what a click does, minus the picking.
+    // `pointer` (NDC) is where the click landed, null for keyboard and other non-pointer input.
+    function toggleExplosion(pointer = null) {
+        const state = getAnimationState();
+
+        // If already exploding and reassembleOnClick is enabled, start returning immediately
+        if ((state === "EXPLODING" || state === "MORPHING") && CONFIG.reassembleOnClick) {
+            reassemble(pointer);
+            return;
+        }
+
+        // Allow exploding from IDLE or RETURNING state (can re-explode while returning)
+        if (state !== "IDLE" && state !== "RETURNING") return;
+
+        // Morph into the next showcase image instead when enabled
+        if (canMorph && canMorph()) {
+            startMorph(null, pointer);
+            return;
+        }
+
+        // Clear any pending timers from previous explosion
+        if (returnTimer) {
+            clearTimeout(returnTimer);
+            returnTimer = null;
+        }
+
+        setAnimationState("EXPLODING");
+
+        // Trigger explosion callback
+        onExplosion(pointer);
+
+        scheduleReturn();
+    }
+
+    // Start returning immediately, without waiting for the hold to run out
+    function reassemble(pointer = null) {
+        const state = getAnimationState();
+        if (state !== "EXPLODING" && state !== "MORPHING") return;
 
-    // If already exploding and reassembleOnClick is enabled, start returning immediately
-    if (state === "EXPLODING" && CONFIG.reassembleOnClick) {
         // Clear any pending timers
         if (returnTimer) {
             clearTimeout(returnTimer);
@@ -109,38 +198,75 @@ function triggerExplosion(event) {
         }
 
         // Trigger return callback
-        onReturn();
+        onReturn(pointer);
 
         setAnimationState("RETURNING");
         // Don't set a timer here - we'll transition to IDLE based on position convergence
-        return;
     }
 
-    // Allow exploding from IDLE or RETURNING state (can re-explode while returning)
-    if (state !== "IDLE" && state !== "RETURNING") return;
+    // Morph into an image (null = next showcase image), from any state.
+    // `pointer` (NDC, optional) is where the choreography ripples from.
+    function startMorph(image, pointer = null) {
+        if (returnTimer) {
+            clearTimeout(returnTimer);
+            returnTimer = null;
+        }
 
-    // Clear any pending timers from previous explosion
-    if (returnTimer) {
-        clearTimeout(returnTimer);
-        returnTimer = null;
+        setAnimationState("MORPHING");
+        onMorph(image, pointer);
+        scheduleReturn();
     }
 
-    setAnimationState("EXPLODING");
+    // Return once the last particle has finished its explode tween and the hold has elapsed
+    function scheduleReturn() {
+        if (!autoReturn) return;
+        const choreography = CONFIG.animation.choreography.explode;
+        const stagger = choreography.mode === 'none' ? 0 : choreography.spread;
 
-    // Trigger explosion callback
-    onExplosion();
+        returnTimer = setTimeout(() => {
+            onReturn(null);
+            setAnimationState("RETURNING");
+            // IDLE transition now happens automatically based on particle convergence
+            returnTimer = null;
+        }, CONFIG.explodeDuration + stagger + CONFIG.holdDuration);
+    }
 
-    returnTimer = setTimeout(() => {
-        onReturn();
-        setAnimationState("RETURNING");
-        // IDLE transition now happens automatically based on particle convergence
-        returnTimer = null;
-    }, CONFIG.holdDuration);
-}
+    // Turn the hold-then-return timer off (a pending return is cancelled) or back on. Turning it back on
+    // while exploded (e.g. a timeline stopped mid-show) starts a fresh hold so the tree doesn't stay apart.
+    function setAutoReturn(enabled) {
+        const wasEnabled = autoReturn;
+        autoReturn = enabled;
+        if (!enabled) {
+            clearReturnTimer();
+            return;
+        }
+        const state = getAnimationState();
+        if (!wasEnabled && !returnTimer && (state === "EXPLODING" || state === "MORPHING")) {
+            scheduleReturn();
+        }
+    }
+
+    function clearReturnTimer() {
+        if (returnTimer) {
+            clearTimeout(returnTimer);
+            returnTimer = null;
+        }
+    }
 
-export function clearReturnTimer() {
-    if (returnTimer) {
-        clearTimeout(returnTimer);
-        returnTimer = null;
+    // The tree is being taken down: no more returns or resizes
+    function disposeEvents() {
+        clearReturnTimer();
+        if (resizeObserver) resizeObserver.disconnect();
+        resizeObserver = null;
     }
+
+    return {
+        initResizeHandler,
+        toggleExplosion,
+        reassemble,
+        startMorph,
+        setAutoReturn,
+        clearReturnTimer,
+        disposeEvents,
+    };
 }
@@ -0,0 +1,64 @@
+// Gamepad controls, polled from the animation loop (the Gamepad API has no input events)
+const FRAME_MS = 1000 / 60;     // The stick sensitivities are per 60fps frame; scaled by elapsed time
+const MAX_FRAME_DELTA = 6;
+
+// Radial deadzone, rescaled so output still starts at 0 just past the edge
+function applyDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return { x: 0, y: 0 };
+    const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+function isPressed(button) {
+    return typeof button === 'object' ? button.pressed : button > 0.5;
+}
+
+// `context`: the tree's mouse tracking and dom. `actions`: toggle, previousImage, nextImage, and
+// isBlocked(action) (the keyboard's, so buttons are ignored while a dialog is open)
+export function createGamepad(CONFIG, context, actions) {
+    const { mouse, dom } = context;
+
+    let lastPollTime = 0;
+
+    // Button states from the previous poll, per gamepad index, for press edges
+    const previousButtons = new Map();
+
+    dom.listen(window, 'gamepaddisconnected', (event) => {
+        previousButtons.delete(event.gamepad.index);
+    });
+
+    // Called every frame
+    function pollGamepads() {
+        const settings = CONFIG.interaction.gamepad;
+        if (!settings.enabled || typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+        const now = performance.now();
+        const frameDelta = lastPollTime ? Math.min((now - lastPollTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastPollTime = now;
+
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+
+            // Left stick spins and tilts with the same momentum as a touch drag
+            const stick = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0, settings.deadzone);
+            const tilt = settings.invertY ? -stick.y : stick.y;
+            if (stick.x !== 0 || tilt !== 0) {
+                mouse.nudgeRotation(stick.x * settings.spinSensitivity * frameDelta, tilt * settings.tiltSensitivity * frameDelta);
+            }
+
+            // Buttons fire once per press
+            const previous = previousButtons.get(pad.index) || [];
+            const current = pad.buttons.map(isPressed);
+            Object.keys(settings.buttons).forEach(action => {
+                const index = settings.buttons[action];
+                if (current[index] && !previous[index] && actions[action] && !actions.isBlocked?.(action)) {
+                    actions[action]();
+                }
+            });
+            previousButtons.set(pad.index, current);
+        }
+    }
+
+    return { pollGamepads };
+}
@@ -0,0 +1,142 @@
+// Keyboard controls - bindings come from CONFIG.interaction.keys
+import { getEventTarget } from '../core/dom.js';
+
+const FRAME_MS = 1000 / 60;     // spinSpeed and tiltSpeed are per 60fps frame; scaled by elapsed time
+const MAX_FRAME_DELTA = 6;      // A stalled tab doesn't fling the tree
+
+const LABELS = {
+    toggle: 'Explode / reassemble',
+    spinLeft: 'Spin left',
+    spinRight: 'Spin right',
+    tiltUp: 'Tilt up',
+    tiltDown: 'Tilt down',
+    previousImage: 'Previous image',
+    nextImage: 'Next image',
+    settings: 'Settings',
+    fullscreen: 'Fullscreen',
+    help: 'Show / hide this help',
+};
+
+// Actions that repeat every frame while held instead of firing once per press
+const HOLD_ACTIONS = ['spinLeft', 'spinRight', 'tiltUp', 'tiltDown'];
+
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function isTyping(event) {
+    const target = getEventTarget(event);
+    return target.closest && (target.closest('input, select, textarea, [contenteditable]') || target.closest('.dg'));
+}
+
+function formatKey(binding) {
+    if (binding === ' ' || binding === 'Space') return 'Space';
+    if (binding.startsWith('Arrow')) return { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' }[binding];
+    return binding.length === 1 ? binding.toUpperCase() : binding;
+}
+
+// `context`: the tree's mouse tracking (js/interaction/mouse.js) and dom.
+// `actions` maps action names (see LABELS) to functions; 'help' receives the rows to show.
+// `actions.isBlocked(action)` returning true (e.g. a dialog is open) ignores that key.
+export function createKeyboard(CONFIG, context, actions) {
+    const { mouse, dom } = context;
+
+    // Held spin/tilt keys, applied every frame while any are down
+    const held = new Set();
+    let holdFrame = null;
+    let lastHoldTime = 0;
+
+    dom.listen(dom.getInputTarget(), 'keydown', handleKeyDown);
+    dom.listen(dom.getInputTarget(), 'keyup', (event) => {
+        const action = getAction(event);
+        if (action) held.delete(action);
+    });
+    // Keys released while the window is in the background never send keyup
+    dom.listen(window, 'blur', () => held.clear());
+
+    // First action bound to the event's key or code
+    function getAction(event) {
+        const key = normalizeKey(event.key);
+        const bindings = CONFIG.interaction.keys;
+        return Object.keys(bindings).find(action => bindings[action].some(binding => {
+            return normalizeKey(binding) === key || binding === event.code;
+        })) || null;
+    }
+
+    function handleKeyDown(event) {
+        if (!CONFIG.interaction.keyboard.enabled) return;
+        if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event)) return;
+        const action = getAction(event);
+        if (!action) return;
+        if (actions.isBlocked && actions.isBlocked(action)) return;
+
+        // Space would scroll and Enter would click the focused button
+        event.preventDefault();
+
+        if (HOLD_ACTIONS.includes(action)) {
+            held.add(action);
+            if (!holdFrame) holdFrame = requestAnimationFrame(applyHeldKeys);
+            return;
+        }
+
+        if (event.repeat) return;
+        if (action === 'help') {
+            actions.help(getHelpRows());
+        } else if (actions[action]) {
+            actions[action]();
+        }
+    }
+
+    function applyHeldKeys(timestamp) {
+        holdFrame = null;
+        if (held.size === 0) {
+            lastHoldTime = 0;
+            return;
+        }
+
+        const frameDelta = lastHoldTime ? Math.min((timestamp - lastHoldTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastHoldTime = timestamp;
+        const spinSpeed = CONFIG.interaction.keyboard.spinSpeed * frameDelta;
+        const tiltSpeed = CONFIG.interaction.keyboard.tiltSpeed * frameDelta;
+        let x = 0;
+        let y = 0;
+        if (held.has('spinLeft')) x -= spinSpeed;
+        if (held.has('spinRight')) x += spinSpeed;
+        if (held.has('tiltUp')) y -= tiltSpeed;
+        if (held.has('tiltDown')) y += tiltSpeed;
+        mouse.nudgeRotation(x, y);
+
+        holdFrame = requestAnimationFrame(applyHeldKeys);
+    }
+
+    // Rows for the help overlay, in binding order
+    function getHelpRows() {
+        const bindings = CONFIG.interaction.keys;
+        return Object.keys(bindings)
+            .filter(action => bindings[action].length > 0)
+            .map(action => ({
+                keys: bindings[action].map(formatKey).join(', '),
+                label: LABELS[action] || action,
+            }));
+    }
+
+    // Toggle fullscreen on the whole page, or just the <christmas-tree> element
+    function toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+            return;
+        }
+        dom.getFullscreenTarget().requestFullscreen().catch(err => {
+            console.warn('Fullscreen not available:', err.message);
+        });
+    }
+
+    // Stop applying held keys (the tree is being taken down)
+    function disposeKeyboard() {
+        held.clear();
+        if (holdFrame) cancelAnimationFrame(holdFrame);
+        holdFrame = null;
+    }
+
+    return { toggleFullscreen, disposeKeyboard };
+}
@@ -0,0 +1,64 @@
+// Kiosk mode for unattended displays: settings are hidden, and after a while without input the
+// tree goes into attract mode - it explodes on its own every so often and cycles images while exploded.
+// Any input ends attract mode until the display has been left alone for idleTimeout again.
+
+// `context`: the tree's mouse tracking and dom. `actions`: explode, nextImage, getAnimationState, isBlocked
+export function createKiosk(CONFIG, context, actions) {
+    const { mouse, dom } = context;
+
+    let attracting = false;
+    let lastInputTime = 0;     // Keys, clicks and wheel (mouse.js tracks moves and touch drags)
+    let lastState = null;
+    let nextExplosionTime = 0;
+    let nextImageTime = 0;
+
+    setKioskEnabled(CONFIG.interaction.kiosk.enabled);
+
+    const markInput = () => {
+        lastInputTime = performance.now();
+    };
+    dom.listen(dom.getInputTarget(), 'keydown', markInput);
+    dom.listen(dom.getInputTarget(), 'pointerdown', markInput);
+    dom.listen(dom.getInputTarget(), 'wheel', markInput, { passive: true });
+
+    // Also hides the settings gear (the 'kiosk' body class) and keeps the settings modal closed
+    function setKioskEnabled(enabled) {
+        CONFIG.interaction.kiosk.enabled = enabled;
+        dom.getAppBody().classList.toggle('kiosk', enabled);
+    }
+
+    // Called every frame
+    function updateKiosk() {
+        const settings = CONFIG.interaction.kiosk;
+        if (!settings.enabled) {
+            attracting = false;
+            return;
+        }
+
+        const now = performance.now();
+        const lastInput = Math.max(mouse.getLastMouseMoveTime(), lastInputTime);
+        const wasAttracting = attracting;
+        // No input at all since the page loaded counts as idle straight away
+        attracting = lastInput === 0 || now - lastInput >= settings.idleTimeout;
+        if (!attracting || (actions.isBlocked && actions.isBlocked())) return;
+
+        const animationState = actions.getAnimationState();
+        // Count the interval from when the tree came back together (or attract mode began)
+        if (!wasAttracting || (animationState === "IDLE" && lastState !== "IDLE")) {
+            nextExplosionTime = now + settings.interval;
+        }
+        if (!wasAttracting || (animationState === "EXPLODING" && lastState !== "EXPLODING")) {
+            nextImageTime = now + settings.imageInterval;
+        }
+        lastState = animationState;
+
+        if (animationState === "IDLE" && now >= nextExplosionTime) {
+            actions.explode();
+        } else if (animationState === "EXPLODING" && settings.imageInterval > 0 && now >= nextImageTime) {
+            actions.nextImage();
+            nextImageTime = now + settings.imageInterval;
+        }
+    }
+
+    return { setKioskEnabled, updateKiosk };
+}
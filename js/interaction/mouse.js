@@ -1,79 +1,82 @@
 // Mouse and device orientation parallax tracking
 import * as THREE from 'three';
-
-const mouse = new THREE.Vector2(0, 0);
-const prevMouse = new THREE.Vector2(0, 0);
-const mouseVelocity = new THREE.Vector2(0, 0);
-const targetRotation = new THREE.Vector2(0, 0);
-const targetPosition = new THREE.Vector2(0, 0);
-let lastMouseMoveTime = 0;
-let CONFIG = null;
-
-// Device orientation state
-const deviceOrientation = new THREE.Vector2(0, 0);
-let baselineOrientation = null;
-let useDeviceOrientation = false;
-let deviceOrientationEnabled = false; // User preference - disabled by default
-let deviceOrientationPermissionGranted = false;
-
-// Touch drag state - velocity-based rotation for mobile
-let lastTouchPos = null;
-// Accumulated rotation from touch (adds to parallax target)
-const touchRotationOffset = new THREE.Vector2(0, 0);
-// Velocity for momentum after touch ends
-const touchVelocity = new THREE.Vector2(0, 0);
-let isTouching = false;
-let lastTouchMoveFrame = 0; // Track when last touchmove occurred
-// For smooth velocity blending on touch start
-let storedMomentum = null;
-let touchMoveCount = 0;
-
-export function initMouseTracking(configRef) {
-    CONFIG = configRef;
+import { getEventTarget } from '../core/dom.js';
+
+// `context`: the tree's orbit (js/interaction/orbit.js) and dom
+export function createMouseTracking(CONFIG, context) {
+    const { orbit, dom } = context;
+
+    const mouse = new THREE.Vector2(0, 0);
+    const prevMouse = new THREE.Vector2(0, 0);
+    const mouseVelocity = new THREE.Vector2(0, 0);
+    const targetRotation = new THREE.Vector2(0, 0);
+    const targetPosition = new THREE.Vector2(0, 0);
+    let lastMouseMoveTime = 0;
+
+    // Device orientation state
+    const deviceOrientation = new THREE.Vector2(0, 0);
+    let baselineOrientation = null;
+    let useDeviceOrientation = false;
+    let deviceOrientationEnabled = false; // User preference - disabled by default
+    let deviceOrientationPermissionGranted = false;
+
+    // Touch drag state - velocity-based rotation for mobile
+    let lastTouchPos = null;
+    // Accumulated rotation from touch (adds to parallax target)
+    const touchRotationOffset = new THREE.Vector2(0, 0);
+    // Velocity for momentum after touch ends
+    const touchVelocity = new THREE.Vector2(0, 0);
+    let isTouching = false;
+    let lastTouchMoveFrame = 0; // Track when last touchmove occurred
+    // For smooth velocity blending on touch start
+    let storedMomentum = null;
+    let touchMoveCount = 0;
 
     // Track mouse using multiple event types for reliability
-    // Using document-level listeners to work even without focus
-    document.addEventListener('mousemove', updateMousePosition, { passive: true });
-    document.addEventListener('pointermove', updateMousePosition, { passive: true });
+    // Using document-level listeners (or the element's, when embedded) to work even without focus
+    const target = dom.getInputTarget();
+    dom.listen(target, 'mousemove', updateMousePosition, { passive: true });
+    dom.listen(target, 'pointermove', updateMousePosition, { passive: true });
 
     // Touch drag for mobile parallax - track relative movement
-    document.addEventListener('touchstart', handleTouchStart, { passive: true });
-    document.addEventListener('touchmove', handleTouchMove, { passive: true });
-    document.addEventListener('touchend', handleTouchEnd, { passive: true });
+    dom.listen(target, 'touchstart', handleTouchStart, { passive: true });
+    dom.listen(target, 'touchmove', handleTouchMove, { passive: true });
+    dom.listen(target, 'touchend', handleTouchEnd, { passive: true });
 
-    // Reset when mouse leaves the document/window
-    document.addEventListener('mouseleave', resetMousePosition);
-    document.addEventListener('mouseout', (event) => {
+    // Reset when mouse leaves the document/window (or the element)
+    dom.listen(target, 'mouseleave', resetMousePosition);
+    dom.listen(target, 'mouseout', (event) => {
         // Only reset if actually leaving the document (not just moving between elements)
         if (event.relatedTarget === null || event.relatedTarget.nodeName === 'HTML') {
             resetMousePosition();
         }
     });
-    window.addEventListener('pointerleave', resetMousePosition);
+    dom.listen(window, 'pointerleave', resetMousePosition);
 
     // Handle visibility changes
-    document.addEventListener('visibilitychange', onVisibilityChange);
+    dom.listen(document, 'visibilitychange', onVisibilityChange);
 
     // When mouse enters, immediately start tracking
-    document.addEventListener('mouseenter', (event) => {
+    dom.listen(target, 'mouseenter', (event) => {
         updateMousePosition(event);
     });
 
     // Backup listeners to ensure mouse position updates after clicks
-    document.addEventListener('mouseup', updateMousePosition, { passive: true });
-    document.addEventListener('click', updateMousePosition, { passive: true });
-    document.addEventListener('mousedown', updateMousePosition, { passive: true });
+    dom.listen(target, 'mouseup', updateMousePosition, { passive: true });
+    dom.listen(target, 'click', updateMousePosition, { passive: true });
+    dom.listen(target, 'mousedown', updateMousePosition, { passive: true });
 
     // Edge-specific fix: release pointer capture which can block mousemove events
-    window.addEventListener('pointerdown', (event) => {
+    dom.listen(target, 'pointerdown', (event) => {
         // Only update position for mouse, not touch (touch is handled separately)
         if (event.pointerType !== 'touch') {
             updateMousePosition(event);
         }
         // Release any implicit pointer capture that Edge might set
-        if (event.target.releasePointerCapture) {
+        const pressed = getEventTarget(event);
+        if (pressed.releasePointerCapture) {
             try {
-                event.target.releasePointerCapture(event.pointerId);
+                pressed.releasePointerCapture(event.pointerId);
             } catch (e) {
                 // Ignore - pointer might not be captured
             }
@@ -81,271 +84,311 @@ export function initMouseTracking(configRef) {
     }, { passive: true });
 
     // Device orientation for mobile parallax
-    window.addEventListener('deviceorientation', handleDeviceOrientation, true);
-}
+    dom.listen(window, 'deviceorientation', handleDeviceOrientation, true);
+
+    function updateMousePosition(event) {
+        // Skip touch-derived pointer events - touch is handled separately via touch events
+        // pointerType is only on PointerEvents, not MouseEvents
+        if (event.pointerType && event.pointerType === 'touch') return;
+
+        prevMouse.copy(mouse);
+        const pointer = dom.toCanvasPointer(event.clientX, event.clientY);
+        mouse.x = pointer.x;
+        mouse.y = pointer.y;
+        mouseVelocity.x = mouse.x - prevMouse.x;
+        mouseVelocity.y = mouse.y - prevMouse.y;
+        lastMouseMoveTime = performance.now();
+    }
 
-function updateMousePosition(event) {
-    // Skip touch-derived pointer events - touch is handled separately via touch events
-    // pointerType is only on PointerEvents, not MouseEvents
-    if (event.pointerType && event.pointerType === 'touch') return;
-
-    prevMouse.copy(mouse);
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-    mouseVelocity.x = mouse.x - prevMouse.x;
-    mouseVelocity.y = mouse.y - prevMouse.y;
-    lastMouseMoveTime = performance.now();
-}
+    function handleTouchStart(event) {
+        if (event.touches.length === 0) return;
+        const touch = event.touches[0];
+        lastTouchPos = { x: touch.clientX, y: touch.clientY };
+        isTouching = true;
+        // Store current momentum for smooth blending
+        storedMomentum = { x: touchVelocity.x, y: touchVelocity.y };
+        touchMoveCount = 0;
+    }
 
-function handleTouchStart(event) {
-    if (event.touches.length === 0) return;
-    const touch = event.touches[0];
-    lastTouchPos = { x: touch.clientX, y: touch.clientY };
-    isTouching = true;
-    // Store current momentum for smooth blending
-    storedMomentum = { x: touchVelocity.x, y: touchVelocity.y };
-    touchMoveCount = 0;
-}
+    function handleTouchMove(event) {
+        // Two fingers pinch-zoom (see zoom.js) rather than spin; pick up again from the next single-finger move
+        if (event.touches.length > 1) {
+            lastTouchPos = null;
+            return;
+        }
+        if (event.touches.length === 0 || orbit.isOrbitActive()) return;
+        const touch = event.touches[0];
+        if (!lastTouchPos) {
+            lastTouchPos = { x: touch.clientX, y: touch.clientY };
+            return;
+        }
 
-function handleTouchMove(event) {
-    if (event.touches.length === 0 || !lastTouchPos) return;
-    const touch = event.touches[0];
-
-    // Calculate delta from last position (not from start)
-    const deltaX = ((touch.clientX - lastTouchPos.x) / window.innerWidth) * 2;
-    // Positive deltaY when dragging down - tree follows finger direction
-    const deltaY = ((touch.clientY - lastTouchPos.y) / window.innerHeight) * 2;
-
-    // Axis separation: filter non-dominant axis to prevent cross-contamination
-    // If one axis is 2x larger than the other, suppress the smaller one
-    const absX = Math.abs(deltaX);
-    const absY = Math.abs(deltaY);
-
-    let filteredX = deltaX;
-    let filteredY = deltaY;
-
-    if (absX > absY * 2) {
-        // Primarily horizontal drag - suppress vertical
-        filteredY = 0;
-    } else if (absY > absX * 2) {
-        // Primarily vertical drag - suppress horizontal
-        filteredX = 0;
-    } else {
-        // Mixed movement - dampen vertical in ambiguous cases
-        filteredY = deltaY * 0.5;
-    }
+        // Calculate delta from last position (not from start), relative to the canvas size
+        const rect = dom.getCanvasRect();
+        const deltaX = ((touch.clientX - lastTouchPos.x) / rect.width) * 2;
+        // Positive deltaY when dragging down - tree follows finger direction
+        const deltaY = ((touch.clientY - lastTouchPos.y) / rect.height) * 2;
+
+        // Axis separation: filter non-dominant axis to prevent cross-contamination
+        // If one axis is 2x larger than the other, suppress the smaller one
+        const absX = Math.abs(deltaX);
+        const absY = Math.abs(deltaY);
+
+        let filteredX = deltaX;
+        let filteredY = deltaY;
+
+        if (absX > absY * 2) {
+            // Primarily horizontal drag - suppress vertical
+            filteredY = 0;
+        } else if (absY > absX * 2) {
+            // Primarily vertical drag - suppress horizontal
+            filteredX = 0;
+        } else {
+            // Mixed movement - dampen vertical in ambiguous cases
+            filteredY = deltaY * 0.5;
+        }
 
-    // Smooth velocity blending: blend stored momentum with new drag on first few frames
-    touchMoveCount++;
-    const blendFrames = 5;
-
-    let appliedX, appliedY;
-    if (touchMoveCount <= blendFrames && storedMomentum) {
-        const blend = touchMoveCount / blendFrames;
-        appliedX = storedMomentum.x * (1 - blend) + filteredX * blend;
-        appliedY = storedMomentum.y * (1 - blend) + filteredY * blend;
-    } else {
-        appliedX = filteredX;
-        appliedY = filteredY;
-    }
+        // Smooth velocity blending: blend stored momentum with new drag on first few frames
+        touchMoveCount++;
+        const blendFrames = 5;
+
+        let appliedX, appliedY;
+        if (touchMoveCount <= blendFrames && storedMomentum) {
+            const blend = touchMoveCount / blendFrames;
+            appliedX = storedMomentum.x * (1 - blend) + filteredX * blend;
+            appliedY = storedMomentum.y * (1 - blend) + filteredY * blend;
+        } else {
+            appliedX = filteredX;
+            appliedY = filteredY;
+        }
 
-    // Apply directly to offset during active touch (not via velocity accumulation)
-    touchRotationOffset.x += appliedX;
-    touchRotationOffset.y += appliedY;
+        // Apply directly to offset during active touch (not via velocity accumulation)
+        touchRotationOffset.x += appliedX;
+        touchRotationOffset.y += appliedY;
 
-    // Store velocity for momentum when touch ends
-    touchVelocity.x = appliedX;
-    touchVelocity.y = appliedY;
-    lastTouchMoveFrame = performance.now();
+        // Store velocity for momentum when touch ends
+        touchVelocity.x = appliedX;
+        touchVelocity.y = appliedY;
+        lastTouchMoveFrame = performance.now();
 
-    // Logging removed - see touchstart/touchend for key events
+        // Logging removed - see touchstart/touchend for key events
 
-    lastTouchPos = { x: touch.clientX, y: touch.clientY };
-    lastMouseMoveTime = performance.now();
-}
+        lastTouchPos = { x: touch.clientX, y: touch.clientY };
+        lastMouseMoveTime = performance.now();
+    }
 
-function handleTouchEnd() {
-    lastTouchPos = null;
-    isTouching = false;
-    // Velocity is preserved for momentum decay
-}
+    function handleTouchEnd(event) {
+        lastTouchPos = null;
+        // Lifting one finger of a pinch leaves the other still down
+        isTouching = event.touches.length > 0;
+        // Velocity is preserved for momentum decay
+    }
 
-// Request device orientation permission (required on iOS 13+)
-export async function requestDeviceOrientationPermission() {
-    if (typeof DeviceOrientationEvent !== 'undefined' &&
-        typeof DeviceOrientationEvent.requestPermission === 'function') {
-        try {
-            const permission = await DeviceOrientationEvent.requestPermission();
-            deviceOrientationPermissionGranted = permission === 'granted';
-            return deviceOrientationPermissionGranted;
-        } catch (e) {
-            return false;
+    // Request device orientation permission (required on iOS 13+)
+    async function requestDeviceOrientationPermission() {
+        if (typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                deviceOrientationPermissionGranted = permission === 'granted';
+                return deviceOrientationPermissionGranted;
+            } catch (e) {
+                return false;
+            }
         }
+        // No permission needed on Android/desktop
+        deviceOrientationPermissionGranted = true;
+        return true;
     }
-    // No permission needed on Android/desktop
-    deviceOrientationPermissionGranted = true;
-    return true;
-}
 
-// Enable/disable device orientation parallax
-export function setDeviceOrientationEnabled(enabled) {
-    deviceOrientationEnabled = enabled;
-    if (!enabled) {
-        useDeviceOrientation = false;
-        baselineOrientation = null;
+    // Enable/disable device orientation parallax
+    function setDeviceOrientationEnabled(enabled) {
+        deviceOrientationEnabled = enabled;
+        if (!enabled) {
+            useDeviceOrientation = false;
+            baselineOrientation = null;
+        }
     }
-}
 
-export function isDeviceOrientationEnabled() {
-    return deviceOrientationEnabled;
-}
+    function isDeviceOrientationEnabled() {
+        return deviceOrientationEnabled;
+    }
 
-// Handle device orientation for mobile parallax
-function handleDeviceOrientation(event) {
-    // Only process if user has enabled this feature
-    if (!deviceOrientationEnabled) return;
-    if (event.gamma === null || event.beta === null) return;
+    // Handle device orientation for mobile parallax
+    function handleDeviceOrientation(event) {
+        // Only process if user has enabled this feature
+        if (!deviceOrientationEnabled) return;
+        if (event.gamma === null || event.beta === null) return;
 
-    // gamma: left/right tilt (-90 to 90)
-    // beta: front/back tilt (-180 to 180)
+        // gamma: left/right tilt (-90 to 90)
+        // beta: front/back tilt (-180 to 180)
 
-    // Initialize baseline on first reading
-    if (baselineOrientation === null) {
-        baselineOrientation = { beta: event.beta, gamma: event.gamma };
-    }
+        // Initialize baseline on first reading
+        if (baselineOrientation === null) {
+            baselineOrientation = { beta: event.beta, gamma: event.gamma };
+        }
 
-    // Continuous recalibration: slowly drift baseline toward current position
-    const recalibrationSpeed = 0.005;
-    baselineOrientation.gamma += (event.gamma - baselineOrientation.gamma) * recalibrationSpeed;
-    baselineOrientation.beta += (event.beta - baselineOrientation.beta) * recalibrationSpeed;
+        // Continuous recalibration: slowly drift baseline toward current position
+        const recalibrationSpeed = 0.005;
+        baselineOrientation.gamma += (event.gamma - baselineOrientation.gamma) * recalibrationSpeed;
+        baselineOrientation.beta += (event.beta - baselineOrientation.beta) * recalibrationSpeed;
 
-    // Calculate delta from drifting baseline
-    const gammaDelta = event.gamma - baselineOrientation.gamma;
-    const betaDelta = event.beta - baselineOrientation.beta;
+        // Calculate delta from drifting baseline
+        const gammaDelta = event.gamma - baselineOrientation.gamma;
+        const betaDelta = event.beta - baselineOrientation.beta;
 
-    // Map deltas to -1 to 1 range, clamped at ~25 degrees of tilt
-    const tiltRange = 25;
-    deviceOrientation.x = Math.max(-1, Math.min(1, gammaDelta / tiltRange));
-    deviceOrientation.y = -Math.max(-1, Math.min(1, betaDelta / tiltRange));
-    useDeviceOrientation = true;
-}
+        // Map deltas to -1 to 1 range, clamped at ~25 degrees of tilt
+        const tiltRange = 25;
+        deviceOrientation.x = Math.max(-1, Math.min(1, gammaDelta / tiltRange));
+        deviceOrientation.y = -Math.max(-1, Math.min(1, betaDelta / tiltRange));
+        useDeviceOrientation = true;
+    }
 
-function resetMousePosition() {
-    if (CONFIG && CONFIG.resetMouseOnLeave) {
-        mouse.x = 0;
-        mouse.y = 0;
+    function resetMousePosition() {
+        if (CONFIG.resetMouseOnLeave) {
+            mouse.x = 0;
+            mouse.y = 0;
+        }
     }
-}
 
-// Reset mouse tracking on visibility changes
-function onVisibilityChange() {
-    if (document.hidden) {
-        resetMousePosition();
+    // Reset mouse tracking on visibility changes
+    function onVisibilityChange() {
+        if (document.hidden) {
+            resetMousePosition();
+        }
     }
-}
 
-export function getMouse() {
-    // Return device orientation on mobile when active, otherwise mouse
-    if (useDeviceOrientation) {
-        return deviceOrientation;
+    function getMouse() {
+        // Return device orientation on mobile when active, otherwise mouse
+        if (useDeviceOrientation) {
+            return deviceOrientation;
+        }
+        return mouse;
     }
-    return mouse;
-}
 
-export function getMouseVelocity() {
-    return mouseVelocity;
-}
+    function getMouseVelocity() {
+        return mouseVelocity;
+    }
 
-export function getLastMouseMoveTime() {
-    return lastMouseMoveTime;
-}
+    function getLastMouseMoveTime() {
+        return lastMouseMoveTime;
+    }
 
-export function getTargetRotation() {
-    return targetRotation;
-}
+    function getTargetRotation() {
+        return targetRotation;
+    }
 
-export function getTargetPosition() {
-    return targetPosition;
-}
+    function getTargetPosition() {
+        return targetPosition;
+    }
 
-// Normalize horizontal spin to within one rotation (±2π) to prevent long unwinding on explosion
-export function normalizeHorizontalSpin() {
-    const TWO_PI = Math.PI * 2;
-    // Only normalize if we've spun more than one full rotation
-    if (Math.abs(touchRotationOffset.x) > TWO_PI) {
-        touchRotationOffset.x = ((touchRotationOffset.x % TWO_PI) + TWO_PI) % TWO_PI;
-        // Center around 0 (range -π to π) for shortest path back
-        if (touchRotationOffset.x > Math.PI) {
-            touchRotationOffset.x -= TWO_PI;
+    // Push the spin/tilt the same way a touch flick does (keyboard, gamepad);
+    // x spins with momentum, y tilts against the vertical spring
+    function nudgeRotation(x, y) {
+        // In orbit mode the camera moves instead of the tree
+        if (orbit.isOrbitActive()) {
+            orbit.nudgeOrbit(x, y);
+            return;
         }
+        touchVelocity.x += x;
+        touchVelocity.y += y;
     }
-}
 
-// Calculate parallax targets based on animation state
-export function updateParallaxTargets(animationState) {
-    const isExploding = animationState === "EXPLODING";
-    const parallaxActive = isExploding ? CONFIG.explodedParallaxEnabled : CONFIG.parallaxEnabled;
-
-    const timeSinceLastMove = performance.now() - lastTouchMoveFrame;
-    const fingerIsStill = isTouching && timeSinceLastMove > 50; // 50ms = ~3 frames
-
-    // Apply velocity to offset only when not actively dragging
-    // During active touch, offset is updated directly in handleTouchMove
-    if (!isTouching || fingerIsStill) {
-        // X axis: apply velocity for momentum spin (no spring, just friction)
-        touchRotationOffset.x += touchVelocity.x;
-        const friction = CONFIG.touchSpinFriction || 0.95;
-        touchVelocity.x *= friction;
-        if (Math.abs(touchVelocity.x) < 0.0001) touchVelocity.x = 0;
-
-        // Y axis: Hooke's law spring - force proportional to displacement
-        // F = -k * x, where k is spring constant and x is displacement
-        // This creates proper spring dynamics with natural oscillation
-        const springK = CONFIG.touchVerticalTiltSpringStrength || 0.08;
-        const damping = 0.85;  // Damping factor to prevent endless oscillation
-
-        // Apply spring force to velocity (F = ma, assuming m=1, so a = F)
-        const springForce = -springK * touchRotationOffset.y;
-        touchVelocity.y += springForce;
-        touchVelocity.y *= damping;  // Apply damping
-
-        // Apply velocity to position
-        touchRotationOffset.y += touchVelocity.y;
-
-        // Snap to zero when both position and velocity are very small
-        if (Math.abs(touchRotationOffset.y) < 0.001 && Math.abs(touchVelocity.y) < 0.0001) {
-            touchRotationOffset.y = 0;
-            touchVelocity.y = 0;
+    // Normalize horizontal spin to within one rotation (±2π) to prevent long unwinding on explosion
+    function normalizeHorizontalSpin() {
+        const TWO_PI = Math.PI * 2;
+        // Only normalize if we've spun more than one full rotation
+        if (Math.abs(touchRotationOffset.x) > TWO_PI) {
+            touchRotationOffset.x = ((touchRotationOffset.x % TWO_PI) + TWO_PI) % TWO_PI;
+            // Center around 0 (range -π to π) for shortest path back
+            if (touchRotationOffset.x > Math.PI) {
+                touchRotationOffset.x -= TWO_PI;
+            }
         }
     }
 
-    if (parallaxActive) {
-        const parallaxX = isExploding ? CONFIG.explodedParallaxStrengthX : CONFIG.parallaxStrengthX;
-        const parallaxY = isExploding ? CONFIG.explodedParallaxStrengthY : CONFIG.parallaxStrengthY;
-        const input = getMouse(); // Use device orientation or mouse
-
-        // Combine mouse/device input with touch rotation offset
-        targetRotation.x = input.y * parallaxX + touchRotationOffset.y * parallaxX;
-        targetRotation.y = input.x * parallaxY + touchRotationOffset.x * parallaxY;
-        targetPosition.x = input.x * CONFIG.parallaxPositionStrengthX;
-        targetPosition.y = input.y * CONFIG.parallaxPositionStrengthY;
-    } else {
-        targetRotation.x = 0;
-        targetRotation.y = 0;
-        targetPosition.x = 0;
-        targetPosition.y = 0;
+    // Calculate parallax targets based on animation state
+    function updateParallaxTargets(animationState) {
+        const isExploding = animationState === "EXPLODING" || animationState === "MORPHING";
+        // Orbit mode moves the camera instead, so the tree settles back to rest
+        const parallaxActive = !orbit.isOrbitActive() && (isExploding ? CONFIG.explodedParallaxEnabled : CONFIG.parallaxEnabled);
+
+        const timeSinceLastMove = performance.now() - lastTouchMoveFrame;
+        const fingerIsStill = isTouching && timeSinceLastMove > 50; // 50ms = ~3 frames
+
+        // Apply velocity to offset only when not actively dragging
+        // During active touch, offset is updated directly in handleTouchMove
+        if (!isTouching || fingerIsStill) {
+            // X axis: apply velocity for momentum spin (no spring, just friction)
+            touchRotationOffset.x += touchVelocity.x;
+            const friction = CONFIG.touchSpinFriction || 0.95;
+            touchVelocity.x *= friction;
+            if (Math.abs(touchVelocity.x) < 0.0001) touchVelocity.x = 0;
+
+            // Y axis: Hooke's law spring - force proportional to displacement
+            // F = -k * x, where k is spring constant and x is displacement
+            // This creates proper spring dynamics with natural oscillation
+            const springK = CONFIG.touchVerticalTiltSpringStrength || 0.08;
+            const damping = 0.85;  // Damping factor to prevent endless oscillation
+
+            // Apply spring force to velocity (F = ma, assuming m=1, so a = F)
+            const springForce = -springK * touchRotationOffset.y;
+            touchVelocity.y += springForce;
+            touchVelocity.y *= damping;  // Apply damping
+
+            // Apply velocity to position
+            touchRotationOffset.y += touchVelocity.y;
+
+            // Snap to zero when both position and velocity are very small
+            if (Math.abs(touchRotationOffset.y) < 0.001 && Math.abs(touchVelocity.y) < 0.0001) {
+                touchRotationOffset.y = 0;
+                touchVelocity.y = 0;
+            }
+        }
+
+        if (parallaxActive) {
+            const parallaxX = isExploding ? CONFIG.explodedParallaxStrengthX : CONFIG.parallaxStrengthX;
+            const parallaxY = isExploding ? CONFIG.explodedParallaxStrengthY : CONFIG.parallaxStrengthY;
+            const input = getMouse(); // Use device orientation or mouse
+
+            // Combine mouse/device input with touch rotation offset
+            targetRotation.x = input.y * parallaxX + touchRotationOffset.y * parallaxX;
+            targetRotation.y = input.x * parallaxY + touchRotationOffset.x * parallaxY;
+            targetPosition.x = input.x * CONFIG.parallaxPositionStrengthX;
+            targetPosition.y = input.y * CONFIG.parallaxPositionStrengthY;
+        } else {
+            targetRotation.x = 0;
+            targetRotation.y = 0;
+            targetPosition.x = 0;
+            targetPosition.y = 0;
+        }
+
+        return { targetRotation, targetPosition };
     }
 
-    return { targetRotation, targetPosition };
-}
+    // Apply parallax to tree group
+    function applyParallaxToGroup(treeGroup) {
+        // Use higher smoothing for tilt to keep up with spring physics
+        const tiltSmoothing = Math.max(CONFIG.parallaxSmoothing, 0.15);
 
-// Apply parallax to tree group
-export function applyParallaxToGroup(treeGroup) {
-    // Use higher smoothing for tilt to keep up with spring physics
-    const tiltSmoothing = Math.max(CONFIG.parallaxSmoothing, 0.15);
+        treeGroup.rotation.x += (targetRotation.x - treeGroup.rotation.x) * tiltSmoothing;
+        treeGroup.rotation.y += (targetRotation.y - treeGroup.rotation.y) * CONFIG.parallaxSmoothing;
+        treeGroup.position.x += (targetPosition.x - treeGroup.position.x) * CONFIG.parallaxSmoothing;
+        treeGroup.position.y += (targetPosition.y + CONFIG.treeYOffset - treeGroup.position.y) * CONFIG.parallaxSmoothing;
+    }
 
-    treeGroup.rotation.x += (targetRotation.x - treeGroup.rotation.x) * tiltSmoothing;
-    treeGroup.rotation.y += (targetRotation.y - treeGroup.rotation.y) * CONFIG.parallaxSmoothing;
-    treeGroup.position.x += (targetPosition.x - treeGroup.position.x) * CONFIG.parallaxSmoothing;
-    treeGroup.position.y += (targetPosition.y + CONFIG.treeYOffset - treeGroup.position.y) * CONFIG.parallaxSmoothing;
+    return {
+        requestDeviceOrientationPermission,
+        setDeviceOrientationEnabled,
+        isDeviceOrientationEnabled,
+        getMouse,
+        getMouseVelocity,
+        getLastMouseMoveTime,
+        getTargetRotation,
+        getTargetPosition,
+        nudgeRotation,
+        normalizeHorizontalSpin,
+        updateParallaxTargets,
+        applyParallaxToGroup,
+    };
 }
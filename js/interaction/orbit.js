@@ -0,0 +1,142 @@
+// Orbit interaction mode: dragging orbits the camera around the tree instead of tilting the tree.
+// Active while CONFIG.interactionMode === 'orbit'; switching back restores the configured views.
+import * as THREE from 'three';
+import { updateOrthographicCameraAngle } from '../core/scene.js';
+import { getEventTarget } from '../core/dom.js';
+
+const TARGET = new THREE.Vector3(0, 0, 0);
+
+// Keyboard/gamepad nudges are sized for the parallax momentum and tilt spring; these map them
+// to a similar feel in orbit radians
+const SPIN_NUDGE_SCALE = 6;
+const TILT_NUDGE_SCALE = 0.3;
+
+function isOverUI(event) {
+    const target = getEventTarget(event);
+    return target.closest && (target.closest('.dg') || target.closest('.modal') || target.closest('#settings-icon'));
+}
+
+// `context`: the two cameras and the tree's zoom and dom
+export function createOrbit(CONFIG, context) {
+    const { perspectiveCamera, orthographicCamera, zoom, dom } = context;
+
+    let active = false;
+    const spherical = new THREE.Spherical();
+    // Rotation still to apply; each frame applies a `damping` share of it, which gives the drag its inertia
+    let velocityTheta = 0;
+    let velocityPhi = 0;
+    let lastInputTime = 0;
+    let lastFrameTime = 0;
+
+    // Drag tracking - only while a single pointer is down
+    const pointers = new Map();
+    let dragPos = null;
+
+    // A drag starts over the app and follows the pointer anywhere
+    dom.listen(dom.getInputTarget(), 'pointerdown', handlePointerDown);
+    dom.listen(window, 'pointermove', handlePointerMove, { passive: true });
+    dom.listen(window, 'pointerup', handlePointerUp);
+    dom.listen(window, 'pointercancel', handlePointerUp);
+
+    function isOrbitActive() {
+        return active;
+    }
+
+    function handlePointerDown(event) {
+        if (!active || isOverUI(event) || event.button > 0) return;
+        pointers.set(event.pointerId, true);
+        // A second finger means pinch-zoom, not orbit
+        dragPos = pointers.size === 1 ? { x: event.clientX, y: event.clientY } : null;
+    }
+
+    function handlePointerMove(event) {
+        if (!active || !dragPos || !pointers.has(event.pointerId)) return;
+
+        // Pixels to radians, scaled by the canvas so the feel doesn't depend on its size
+        const settings = CONFIG.interaction.orbit;
+        const scale = (2 * Math.PI / dom.getCanvasRect().height) * settings.rotateSpeed;
+        velocityTheta -= (event.clientX - dragPos.x) * scale;
+        velocityPhi -= (event.clientY - dragPos.y) * scale;
+        dragPos = { x: event.clientX, y: event.clientY };
+        lastInputTime = performance.now();
+    }
+
+    function handlePointerUp(event) {
+        pointers.delete(event.pointerId);
+        dragPos = null;
+    }
+
+    // Spin/tilt from the keyboard and gamepad while orbiting (same units as mouse.js nudgeRotation)
+    function nudgeOrbit(x, y) {
+        velocityTheta -= x * SPIN_NUDGE_SCALE;
+        velocityPhi -= y * TILT_NUDGE_SCALE;
+        lastInputTime = performance.now();
+    }
+
+    function enterOrbit() {
+        // Start from wherever the perspective view currently is
+        spherical.setFromVector3(new THREE.Vector3(CONFIG.cameraX, CONFIG.cameraY, CONFIG.cameraZ));
+        velocityTheta = 0;
+        velocityPhi = 0;
+        lastInputTime = performance.now();
+        active = true;
+    }
+
+    function exitOrbit() {
+        active = false;
+        pointers.clear();
+        dragPos = null;
+
+        // Back to the configured views (zoom re-applies the perspective distance next frame)
+        perspectiveCamera.position.set(CONFIG.cameraX, CONFIG.cameraY, CONFIG.cameraZ).divideScalar(zoom.getZoomLevel());
+        perspectiveCamera.lookAt(TARGET);
+        zoom.refreshZoom();
+        updateOrthographicCameraAngle(orthographicCamera, CONFIG);
+    }
+
+    function placeCamera(camera, radius) {
+        camera.position.setFromSphericalCoords(radius, spherical.phi, spherical.theta).add(TARGET);
+        camera.lookAt(TARGET);
+    }
+
+    // Called every frame after zoom, so the orbit owns the camera positions while active
+    function updateOrbit() {
+        const wantOrbit = CONFIG.interactionMode === 'orbit';
+        if (wantOrbit !== active) {
+            if (wantOrbit) enterOrbit();
+            else exitOrbit();
+        }
+        if (!active) return;
+
+        const now = performance.now();
+        const dt = lastFrameTime ? Math.min((now - lastFrameTime) / 1000, 0.1) : 0;
+        lastFrameTime = now;
+
+        const settings = CONFIG.interaction.orbit;
+        // `damping` is the share per 60 fps frame; the first frame counts as one
+        const damping = 1 - Math.pow(1 - settings.damping, dt ? dt * 60 : 1);
+        spherical.theta += velocityTheta * damping;
+        spherical.phi += velocityPhi * damping;
+        velocityTheta *= 1 - damping;
+        velocityPhi *= 1 - damping;
+
+        // Turntable when nobody has touched it for a while
+        if (settings.autoRotate && now - lastInputTime > settings.autoRotateDelay) {
+            spherical.theta += settings.autoRotateSpeed * dt;
+        }
+
+        const minPhi = THREE.MathUtils.degToRad(settings.minPolarAngle);
+        const maxPhi = THREE.MathUtils.degToRad(settings.maxPolarAngle);
+        if (spherical.phi < minPhi || spherical.phi > maxPhi) {
+            spherical.phi = THREE.MathUtils.clamp(spherical.phi, minPhi, maxPhi);
+            velocityPhi = 0;
+        }
+
+        // Perspective keeps its configured distance (scaled by zoom), the orthographic camera only needs the direction
+        const baseDistance = Math.sqrt(CONFIG.cameraX ** 2 + CONFIG.cameraY ** 2 + CONFIG.cameraZ ** 2);
+        placeCamera(perspectiveCamera, baseDistance / zoom.getZoomLevel());
+        placeCamera(orthographicCamera, baseDistance);
+    }
+
+    return { isOrbitActive, nudgeOrbit, updateOrbit };
+}
@@ -0,0 +1,141 @@
+// Pointer picking: the ornament or tree-space point under a click, and hover highlighting
+import * as THREE from 'three';
+
+const _raycaster = new THREE.Raycaster();
+const _ray = new THREE.Ray();
+const _inverse = new THREE.Matrix4();
+const _sphere = new THREE.Sphere();
+const _hit = new THREE.Vector3();
+const _color = new THREE.Color();
+
+// The pointer ray in tree space (particle positions live there)
+function getTreeRay(pointer, cam, group) {
+    _raycaster.setFromCamera(pointer, cam);
+    group.updateWorldMatrix(true, false);
+    return _ray.copy(_raycaster.ray).applyMatrix4(_inverse.copy(group.matrixWorld).invert());
+}
+
+// The GPU path moves particles in the vertex shader, so their CPU positions are only right while idle
+function canPickParticles(config, animationState) {
+    return !config.gpuAnimation || animationState === "IDLE";
+}
+
+// Front-most particle whose bounding sphere the ray passes through.
+// Raycaster.setFromCamera handles both the perspective and orthographic cameras.
+function intersectParticles(ray, particleLists) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    particleLists.forEach(list => list.forEach(p => {
+        if (!p.mesh.visible) return;
+        const geometry = p.mesh.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+
+        _sphere.set(p.position, geometry.boundingSphere.radius * p.scale);
+        if (!ray.intersectSphere(_sphere, _hit)) return;
+        const distance = _hit.distanceToSquared(ray.origin);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = { particle: p, point: _hit.clone() };
+        }
+    }));
+
+    return nearest;
+}
+
+// Tree-space point under `pointer` (NDC): where the ray hits a particle, otherwise the particle
+// closest to the ray
+export function pickTreePoint(pointer, cam, group, particleLists) {
+    const ray = getTreeRay(pointer, cam, group);
+    const hit = intersectParticles(ray, particleLists);
+    if (hit) return hit.point;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    particleLists.forEach(list => list.forEach(p => {
+        if (!p.mesh.visible) return;
+        const distance = ray.distanceSqToPoint(p.position);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = p;
+        }
+    }));
+    return nearest ? nearest.position.clone() : null;
+}
+
+// `context`: the tree group, the tree's morph (js/particles/morph.js) and dom.
+// `callbacks`: getCamera(), getParticleLists() and getAnimationState()
+export function createPicking(CONFIG, context, callbacks) {
+    const { treeGroup, morph, dom } = context;
+    const getCameraFn = callbacks.getCamera;
+    const getParticleListsFn = callbacks.getParticleLists;
+    const getAnimationStateFn = callbacks.getAnimationState;
+
+    // Hover state
+    let hoverPointer = null;
+    let hovered = null;
+    let hoverStale = true;
+    let lastHoverState = null;
+    const lastHoverRay = new THREE.Ray();
+
+    // Touch has no hover; taps still pick through the click path
+    dom.listen(dom.getInputTarget(), 'pointermove', (event) => {
+        if (event.pointerType === 'touch') return;
+        hoverPointer = dom.toCanvasPointer(event.clientX, event.clientY);
+        hoverStale = true;
+    }, { passive: true });
+    dom.listen(dom.getInputTarget(), 'mouseleave', () => {
+        hoverPointer = null;
+    });
+
+    // Particle under `pointer` (NDC) as { particle, point } in tree space, or null
+    function pickParticle(pointer) {
+        if (!pointer || !canPickParticles(CONFIG, getAnimationStateFn())) return null;
+        return intersectParticles(getTreeRay(pointer, getCameraFn(), treeGroup), getParticleListsFn());
+    }
+
+    // Put a particle's instance color back to what the morph blend says it should be
+    function clearHighlight(p) {
+        p.mesh.setColorAt(p.instanceId, morph.getInstanceBaseColor(p, _color));
+        p.mesh.instanceColor.needsUpdate = true;
+    }
+
+    // Picking tests every particle, so the hover only re-picks when the answer can change: the pointer moved,
+    // the animation state changed, the camera or tree moved the pointer ray, or the particles were rebuilt
+    function shouldRepickHover() {
+        const state = getAnimationStateFn();
+        const ray = getTreeRay(hoverPointer, getCameraFn(), treeGroup);
+        const rebuilt = hovered && !hovered.mesh.parent;
+        const changed = hoverStale || rebuilt || state !== lastHoverState || !ray.equals(lastHoverRay);
+        hoverStale = false;
+        lastHoverState = state;
+        lastHoverRay.copy(ray);
+        return changed;
+    }
+
+    // Called every frame after the particles move: re-pick under the last pointer and pulse the hovered ornament
+    function updatePicking(time) {
+        const settings = CONFIG.interaction.picking;
+        let next = null;
+        if (settings.enabled && settings.hover && hoverPointer) {
+            next = shouldRepickHover() ? pickParticle(hoverPointer)?.particle || null : hovered;
+        } else {
+            hoverStale = true;
+        }
+
+        if (next !== hovered) {
+            if (hovered) clearHighlight(hovered);
+            hovered = next;
+            dom.getAppBody().style.cursor = hovered ? 'pointer' : '';
+        }
+        if (!hovered) return;
+
+        // Instance colors multiply the material, so brightening past white reads as a glow (and feeds bloom)
+        const pulse = 1 + settings.glowIntensity * (0.5 + 0.5 * Math.sin(time * settings.glowSpeed));
+        morph.getInstanceBaseColor(hovered, _color).multiplyScalar(pulse);
+        hovered.mesh.setColorAt(hovered.instanceId, _color);
+        hovered.mesh.instanceColor.needsUpdate = true;
+    }
+
+    return { pickParticle, updatePicking };
+}
@@ -0,0 +1,130 @@
+// Mouse-wheel and pinch zoom for both cameras, with inertia.
+// Zoom is a factor on the configured view: the perspective camera moves along its view ray,
+// the orthographic frustum shrinks (see updateOrthographicCameraZoom in core/scene.js).
+import { updateOrthographicCameraZoom } from '../core/scene.js';
+import { getEventTarget } from '../core/dom.js';
+
+// `friction` is per 60 fps frame; longer frames coast further and slow down more
+const FRAME_MS = 1000 / 60;
+const MAX_FRAME_DELTA = 6;
+
+function isOverUI(event) {
+    const target = getEventTarget(event);
+    return target.closest && (target.closest('.dg') || target.closest('.modal'));
+}
+
+function getPinchDistance(touches) {
+    const dx = touches[0].clientX - touches[1].clientX;
+    const dy = touches[0].clientY - touches[1].clientY;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// `context`: the two cameras and the tree's dom (js/core/dom.js)
+export function createZoom(CONFIG, context) {
+    const { perspectiveCamera, orthographicCamera, dom } = context;
+
+    // Zoom is integrated in log space so every wheel notch feels the same at any level
+    let logZoom = 0;
+    let velocity = 0;
+    let dirty = false;
+
+    // Pinch tracking
+    let pinchDistance = null;
+
+    let lastFrameTime = 0;
+
+    // Only over the app, so the rest of the page still scrolls
+    dom.listen(dom.getInputTarget(), 'wheel', handleWheel, { passive: false });
+    dom.listen(dom.getInputTarget(), 'touchstart', handlePinchStart, { passive: true });
+    dom.listen(window, 'touchmove', handlePinchMove, { passive: true });
+    dom.listen(window, 'touchend', handlePinchEnd, { passive: true });
+    dom.listen(window, 'touchcancel', handlePinchEnd, { passive: true });
+
+    function getZoomLevel() {
+        return Math.exp(logZoom);
+    }
+
+    // Re-apply the current zoom on the next frame (after the base camera settings change)
+    function refreshZoom() {
+        dirty = true;
+    }
+
+    function resetZoom() {
+        logZoom = 0;
+        velocity = 0;
+        dirty = true;
+    }
+
+    function handleWheel(event) {
+        if (!CONFIG.interaction.zoom.enabled || isOverUI(event)) return;
+        event.preventDefault();
+
+        // Lines and pages to pixels, roughly
+        const scale = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 100 : 1;
+        velocity -= event.deltaY * scale * CONFIG.interaction.zoom.wheelSensitivity;
+    }
+
+    function handlePinchStart(event) {
+        if (event.touches.length === 2) {
+            pinchDistance = getPinchDistance(event.touches);
+            velocity = 0;
+        }
+    }
+
+    function handlePinchMove(event) {
+        if (pinchDistance === null || event.touches.length !== 2) return;
+        if (!CONFIG.interaction.zoom.enabled) return;
+
+        // Follow the fingers directly; part of the last step carries on as inertia after release
+        const distance = getPinchDistance(event.touches);
+        const step = Math.log(distance / pinchDistance) * CONFIG.interaction.zoom.pinchSensitivity;
+        pinchDistance = distance;
+        logZoom = clampLogZoom(logZoom + step);
+        velocity = step * 0.5;
+        dirty = true;
+    }
+
+    function handlePinchEnd(event) {
+        if (event.touches.length < 2) {
+            pinchDistance = null;
+        }
+    }
+
+    function clampLogZoom(value) {
+        const { min, max } = CONFIG.interaction.zoom;
+        return Math.max(Math.log(min), Math.min(Math.log(max), value));
+    }
+
+    // Called every frame: coast, clamp and apply to both cameras when anything changed
+    function updateZoom() {
+        const now = performance.now();
+        const frameDelta = lastFrameTime ? Math.min((now - lastFrameTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastFrameTime = now;
+
+        const { friction } = CONFIG.interaction.zoom;
+        const decay = Math.pow(friction, frameDelta);
+        if (pinchDistance === null && velocity !== 0) {
+            // The distance the per-frame steps would have covered in this time
+            const step = friction < 1 ? velocity * (1 - decay) / (1 - friction) : velocity * frameDelta;
+            const next = clampLogZoom(logZoom + step);
+            // Hitting a limit stops the coast instead of pushing against it
+            velocity = next === logZoom ? 0 : velocity * decay;
+            if (Math.abs(velocity) < 0.0001) velocity = 0;
+            logZoom = next;
+            dirty = true;
+        } else if (pinchDistance !== null) {
+            // The pinch sets the zoom itself; inertia only starts on release
+            velocity *= decay;
+        }
+
+        if (!dirty) return;
+        dirty = false;
+
+        const zoom = getZoomLevel();
+        // The perspective camera looks at the origin, so scaling its position moves it along the view ray
+        perspectiveCamera.position.set(CONFIG.cameraX, CONFIG.cameraY, CONFIG.cameraZ).divideScalar(zoom);
+        updateOrthographicCameraZoom(orthographicCamera, CONFIG, zoom);
+    }
+
+    return { getZoomLevel, refreshZoom, resetZoom, updateZoom };
+}
@@ -1,48 +1,44 @@
 import * as THREE from 'three';
-
-// Density-corrected position sampling for cone surface
-// Uses sqrt sampling biased toward bottom where circumference is larger
-export function sampleTreePosition(CONFIG) {
-    const u = Math.random();
-    const heightFraction = Math.sqrt(u);
-    const height = heightFraction * CONFIG.treeHeight;
-
-    const radiusAtHeight = (height / CONFIG.treeHeight) * CONFIG.treeRadius;
-
-    const theta = Math.random() * Math.PI * 2;
-    // Push particles to the edge (hollow cone: 0.6 to 1.0 of radius)
-    const r = radiusAtHeight * (0.6 + Math.random() * 0.4);
-
-    const x = r * Math.cos(theta);
-    const z = r * Math.sin(theta);
-    const y = (CONFIG.treeHeight / 2) - height;
-
-    return new THREE.Vector3(x, y, z);
+import { getTreeShape, getTreeShapeParams } from './shapes.js';
+import { getFormation, getFormationParams } from './formations.js';
+
+// Sampler for tree positions from the active shape generator (see shapes.js); the shape and its
+// parameters are looked up once here rather than for every particle. `random` is the tree's 'tree' stream.
+export function createTreeSampler(CONFIG, random) {
+    const shape = getTreeShape(CONFIG.treeShape);
+    const params = getTreeShapeParams(CONFIG, CONFIG.treeShape);
+    return () => shape.sample(CONFIG, params, random);
 }
 
-// Generate explosion target positions in a hollow sphere distribution
-export function generateExplosionTargets(count, center, CONFIG) {
-    const targets = [];
-    const innerR = CONFIG.explosionInnerRadius;
-    const outerR = CONFIG.explosionOuterRadius;
+// Explosion center in tree space, before the configured offset: the camera position, the tree origin,
+// or in 'pointer' mode the picked point (`pointerCenter`, tree origin until something is clicked)
+export function getExplosionCenter(camera, CONFIG, pointerCenter = null) {
+    if (CONFIG.explosionCenterMode === 'camera') {
+        return new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z);
+    }
+    if (CONFIG.explosionCenterMode === 'pointer' && pointerCenter) {
+        return pointerCenter.clone();
+    }
+    return new THREE.Vector3(0, 0, 0);
+}
 
+// Generate explosion target positions from the active formation (see formations.js).
+// Formations flagged `facesCamera` are turned toward `camera` when one is given. `random` is the
+// tree's 'explosion' stream.
+export function generateExplosionTargets(count, center, CONFIG, random, camera = null) {
     const explosionCenter = new THREE.Vector3(
         center.x + CONFIG.explosionOffsetX,
         center.y + CONFIG.explosionOffsetY,
         center.z + CONFIG.explosionOffsetZ,
     );
 
-    for (let i = 0; i < count; i++) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const r = innerR + Math.random() * (outerR - innerR);
-
-        const x = explosionCenter.x + r * Math.sin(phi) * Math.cos(theta);
-        const y = explosionCenter.y + r * Math.sin(phi) * Math.sin(theta);
-        const z = explosionCenter.z + r * Math.cos(phi);
+    const formation = getFormation(CONFIG.explosionFormation);
+    const targets = formation.generate(count, CONFIG, getFormationParams(CONFIG, CONFIG.explosionFormation), random);
 
-        targets.push(new THREE.Vector3(x, y, z));
+    const facing = new THREE.Matrix4();
+    if (camera && formation.facesCamera) {
+        facing.lookAt(camera.position, explosionCenter, camera.up);
     }
 
-    return targets;
+    return targets.map(target => target.applyMatrix4(facing).add(explosionCenter));
 }
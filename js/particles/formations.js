@@ -0,0 +1,234 @@
+// Explosion formations
+// Each formation generates explosion targets around the origin. Formations flagged `facesCamera`
+// are built in a camera-facing frame (+z toward the camera, +y up) and turned toward the camera;
+// generateExplosionTargets() then moves them to the explosion center.
+import * as THREE from 'three';
+
+const formations = new Map();
+
+// Register a formation: { facesCamera, params: { key: { label, default, min, max, step } }, generate(count, CONFIG, params, random) -> Vector3[] }
+// `random` is the tree's seeded Math.random() stand-in (see js/random.js)
+export function registerFormation(name, formation) {
+    formations.set(name, formation);
+}
+
+export function getFormation(name) {
+    if (!formations.has(name)) {
+        console.warn(`Unknown explosion formation: ${name}, falling back to shell`);
+        return formations.get('shell');
+    }
+    return formations.get(name);
+}
+
+export function getFormationNames() {
+    return [...formations.keys()];
+}
+
+// Formation defaults overridden by CONFIG.animation.explosionDistribution.formations[name]
+export function getFormationParams(CONFIG, name) {
+    const formation = getFormation(name);
+    const defaults = {};
+    Object.entries(formation.params).forEach(([key, meta]) => {
+        defaults[key] = meta.default;
+    });
+    return { ...defaults, ...(CONFIG.animation.explosionDistribution.formations?.[name] || {}) };
+}
+
+// Radius between inner and outer with uniform density over the annulus area
+function sampleAnnulusRadius(random, innerR, outerR) {
+    return Math.sqrt(innerR * innerR + random() * (outerR * outerR - innerR * innerR));
+}
+
+// Rotate points lying in the xz plane so the disk is tilted toward the camera by `tiltDegrees`
+function tiltDisk(points, tiltDegrees) {
+    const tilt = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), tiltDegrees * Math.PI / 180);
+    return points.map(p => p.applyQuaternion(tilt));
+}
+
+// Hollow sphere between explosionInnerRadius and explosionOuterRadius
+registerFormation('shell', {
+    params: {},
+    generate(count, CONFIG, params, random) {
+        const targets = [];
+        const innerR = CONFIG.explosionInnerRadius;
+        const outerR = CONFIG.explosionOuterRadius;
+
+        for (let i = 0; i < count; i++) {
+            const theta = random() * Math.PI * 2;
+            const phi = Math.acos(2 * random() - 1);
+            const r = innerR + random() * (outerR - innerR);
+
+            targets.push(new THREE.Vector3(
+                r * Math.sin(phi) * Math.cos(theta),
+                r * Math.sin(phi) * Math.sin(theta),
+                r * Math.cos(phi),
+            ));
+        }
+
+        return targets;
+    },
+});
+
+// Flat annulus, like a planetary ring
+registerFormation('ring', {
+    facesCamera: true,
+    params: {
+        thickness: { label: 'Thickness', default: 2, min: 0, max: 20, step: 0.1 },
+        tilt: { label: 'Tilt (deg)', default: 25, min: -90, max: 90, step: 1 },
+    },
+    generate(count, CONFIG, params, random) {
+        const targets = [];
+        for (let i = 0; i < count; i++) {
+            const theta = random() * Math.PI * 2;
+            const r = sampleAnnulusRadius(random, CONFIG.explosionInnerRadius, CONFIG.explosionOuterRadius);
+            targets.push(new THREE.Vector3(
+                r * Math.cos(theta),
+                (random() - 0.5) * params.thickness,
+                r * Math.sin(theta),
+            ));
+        }
+        return tiltDisk(targets, params.tilt);
+    },
+});
+
+// Spiral galaxy: logarithmic-looking arms that wind tighter toward the core
+registerFormation('galaxy', {
+    facesCamera: true,
+    params: {
+        arms: { label: 'Arms', default: 3, min: 1, max: 8, step: 1 },
+        twist: { label: 'Twist (turns)', default: 0.8, min: 0, max: 3, step: 0.05 },
+        spread: { label: 'Arm Spread', default: 0.35, min: 0, max: 1, step: 0.01 },
+        thickness: { label: 'Thickness', default: 3, min: 0, max: 20, step: 0.1 },
+        tilt: { label: 'Tilt (deg)', default: 35, min: -90, max: 90, step: 1 },
+    },
+    generate(count, CONFIG, params, random) {
+        const targets = [];
+        const arms = Math.max(1, Math.round(params.arms));
+        const outerR = CONFIG.explosionOuterRadius;
+        const coreR = CONFIG.explosionInnerRadius * 0.3;
+
+        for (let i = 0; i < count; i++) {
+            const arm = i % arms;
+            const r = sampleAnnulusRadius(random, coreR, outerR);
+            const radial = r / outerR;
+            // Arms fan out with distance from the core
+            const jitter = (random() - 0.5) * params.spread * (Math.PI * 2 / arms) * (0.3 + radial);
+            const theta = (arm / arms) * Math.PI * 2 + radial * params.twist * Math.PI * 2 + jitter;
+            targets.push(new THREE.Vector3(
+                r * Math.cos(theta),
+                (random() - 0.5) * params.thickness * (1 - radial * 0.7),
+                r * Math.sin(theta),
+            ));
+        }
+        return tiltDisk(targets, params.tilt);
+    },
+});
+
+// Heart outline facing the camera
+registerFormation('heart', {
+    facesCamera: true,
+    params: {
+        scale: { label: 'Scale', default: 0.7, min: 0.2, max: 2, step: 0.05 },
+        width: { label: 'Line Width', default: 2.5, min: 0, max: 15, step: 0.1 },
+        depth: { label: 'Depth', default: 4, min: 0, max: 30, step: 0.5 },
+    },
+    generate(count, CONFIG, params, random) {
+        const targets = [];
+        // Classic heart curve spans x in [-16, 16]; scale it relative to the outer radius
+        const scale = CONFIG.explosionOuterRadius * params.scale / 16;
+        for (let i = 0; i < count; i++) {
+            const t = random() * Math.PI * 2;
+            const x = 16 * Math.sin(t) ** 3;
+            const y = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t);
+            targets.push(new THREE.Vector3(
+                x * scale + (random() - 0.5) * params.width,
+                y * scale + (random() - 0.5) * params.width,
+                (random() - 0.5) * params.depth,
+            ));
+        }
+        return targets;
+    },
+});
+
+// Vertical column hollow cylinder around the explosion center
+registerFormation('column', {
+    params: {
+        height: { label: 'Height', default: 90, min: 10, max: 200, step: 1 },
+        radiusScale: { label: 'Radius Scale', default: 0.5, min: 0.05, max: 2, step: 0.01 },
+    },
+    generate(count, CONFIG, params, random) {
+        const targets = [];
+        const innerR = CONFIG.explosionInnerRadius * params.radiusScale;
+        const outerR = CONFIG.explosionOuterRadius * params.radiusScale;
+        for (let i = 0; i < count; i++) {
+            const theta = random() * Math.PI * 2;
+            const r = sampleAnnulusRadius(random, innerR, outerR);
+            targets.push(new THREE.Vector3(
+                r * Math.cos(theta),
+                (random() - 0.5) * params.height,
+                r * Math.sin(theta),
+            ));
+        }
+        return targets;
+    },
+});
+
+// Render text to a canvas and return the coordinates of its filled pixels
+function rasterizeText(text, font) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const metrics = ctx.measureText(text);
+    const ascent = metrics.actualBoundingBoxAscent || parseInt(font, 10) || 100;
+    const descent = metrics.actualBoundingBoxDescent || ascent * 0.25;
+
+    canvas.width = Math.max(1, Math.ceil(metrics.width));
+    canvas.height = Math.max(1, Math.ceil(ascent + descent));
+    ctx.font = font;  // Resizing the canvas resets the context state
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(text, 0, ascent);
+
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = [];
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            if (data[(y * canvas.width + x) * 4 + 3] > 128) {
+                pixels.push(x, y);
+            }
+        }
+    }
+    return { pixels, width: canvas.width, height: canvas.height };
+}
+
+// Word sampled from a canvas-rendered font, facing the camera
+registerFormation('text', {
+    facesCamera: true,
+    params: {
+        text: { label: 'Text', default: 'MERRY XMAS' },
+        font: { label: 'Font', default: 'bold 120px Georgia, serif' },
+        scale: { label: 'Scale', default: 1.2, min: 0.2, max: 4, step: 0.05 },
+        depth: { label: 'Depth', default: 3, min: 0, max: 30, step: 0.5 },
+    },
+    generate(count, CONFIG, params, random) {
+        const raster = rasterizeText(String(params.text || ' '), params.font);
+        if (raster.pixels.length === 0) {
+            return getFormation('shell').generate(count, CONFIG, {}, random);
+        }
+
+        const targets = [];
+        const unitsPerPixel = (CONFIG.explosionOuterRadius * params.scale) / raster.width;
+        const pixelCount = raster.pixels.length / 2;
+        for (let i = 0; i < count; i++) {
+            const p = Math.floor(random() * pixelCount) * 2;
+            const x = raster.pixels[p] + random();
+            const y = raster.pixels[p + 1] + random();
+            targets.push(new THREE.Vector3(
+                (x - raster.width / 2) * unitsPerPixel,
+                (raster.height / 2 - y) * unitsPerPixel,
+                (random() - 0.5) * params.depth,
+            ));
+        }
+        return targets;
+    },
+});
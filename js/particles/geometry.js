@@ -167,7 +167,9 @@ function createHeartGeometry() {
     });
 }
 
+// Shared by every tree on the page, so only the first one builds them
 export function initGeometries() {
+    if (geomGiftBox) return;
     geomGiftBox = createGiftBoxGeometry();
     geomSphere = createSphereGeometry();
     geomSnowflake = createSnowflakeGeometry();
@@ -177,11 +179,7 @@ export function initGeometries() {
 
 export function getGeometryForType(type) {
     const geometries = {
-        'star': geomStar,
-        'heart': geomHeart,
-        'snowflake': geomSnowflake,
-        'present': geomGiftBox,
-        'sphere': geomSphere,
+        ...getGeometries(),
         'circle': geomStar,
     };
 
@@ -202,3 +200,8 @@ export function getGeometries() {
         sphere: geomSphere,
     };
 }
+
+// Object definition types (see CONFIG.objects)
+export function getGeometryTypes() {
+    return [...Object.keys(getGeometries()), 'circle'];
+}
@@ -11,12 +11,6 @@ export const OBJECT_DEFAULTS = {
     materialOverrides: {},
 };
 
-export const materialCache = new Map();
-
-export function clearMaterialCache() {
-    materialCache.clear();
-}
-
 export function validateAndMergeObjectDef(objectDef) {
     if (!objectDef.type) {
         throw new Error('Object definition must have a type');
@@ -27,70 +21,94 @@ export function validateAndMergeObjectDef(objectDef) {
     return { ...OBJECT_DEFAULTS, ...objectDef };
 }
 
-export function getMaterialFromDefinition(def, CONFIG, envMap) {
-    const useMaterialPreset = def.materialType !== null && def.materialType !== undefined;
+// One tree's particle materials, shared by every mesh with the same definition.
+// `gpu` is the tree's GPU animation (createGpuAnimation in js/animation/gpu.js).
+export function createMaterials(gpu) {
+    const materialCache = new Map();
 
-    const cacheKeyBase = {
-        color: def.color,
-        emissive: def.emissive,
-        emissiveIntensity: def.emissiveIntensity,
-    };
-
-    let key;
-    if (useMaterialPreset) {
-        const materialProps = {
-            ...CONFIG.materialDefaults,
-            ...(CONFIG.materialPresets[def.materialType] || {}),
-            ...(def.materialOverrides || {}),
-        };
-        key = JSON.stringify({
-            ...cacheKeyBase,
-            materialType: def.materialType,
-            performanceMode: CONFIG.performanceMode,
-            materialProps: materialProps,
-        });
-    } else {
-        key = JSON.stringify({
-            ...cacheKeyBase,
-            metalness: def.metalness,
-            roughness: def.roughness,
-        });
+    function clearMaterialCache() {
+        materialCache.clear();
     }
 
-    if (materialCache.has(key)) {
-        return materialCache.get(key);
+    // Cached materials a rebuild may hand out again keep up with environment map changes
+    function setCachedMaterialsEnvMap(envMap) {
+        materialCache.forEach(material => {
+            if (material.envMap) material.envMap = envMap;
+        });
     }
 
-    let material;
-    if (useMaterialPreset) {
-        const materialProps = {
-            ...CONFIG.materialDefaults,
-            ...(CONFIG.materialPresets[def.materialType] || {}),
-            ...(def.materialOverrides || {}),
+    function getMaterialFromDefinition(def, CONFIG, envMap) {
+        const useMaterialPreset = def.materialType !== null && def.materialType !== undefined;
+
+        const cacheKeyBase = {
+            color: def.color,
+            emissive: def.emissive,
+            emissiveIntensity: def.emissiveIntensity,
+            gpuAnimation: CONFIG.gpuAnimation,
         };
 
-        const materialClass = materialProps.materialClass || 'Standard';
+        let key;
+        if (useMaterialPreset) {
+            const materialProps = {
+                ...CONFIG.materialDefaults,
+                ...(CONFIG.materialPresets[def.materialType] || {}),
+                ...(def.materialOverrides || {}),
+            };
+            key = JSON.stringify({
+                ...cacheKeyBase,
+                materialType: def.materialType,
+                performanceMode: CONFIG.performanceMode,
+                materialProps: materialProps,
+            });
+        } else {
+            key = JSON.stringify({
+                ...cacheKeyBase,
+                metalness: def.metalness,
+                roughness: def.roughness,
+            });
+        }
+
+        if (materialCache.has(key)) {
+            return materialCache.get(key);
+        }
 
-        if (materialClass === 'Physical') {
-            material = CONFIG.performanceMode
-                ? createPerformanceMaterial(def, materialProps, envMap)
-                : createPhysicalMaterial(def, materialProps, envMap);
+        let material;
+        if (useMaterialPreset) {
+            const materialProps = {
+                ...CONFIG.materialDefaults,
+                ...(CONFIG.materialPresets[def.materialType] || {}),
+                ...(def.materialOverrides || {}),
+            };
+
+            const materialClass = materialProps.materialClass || 'Standard';
+
+            if (materialClass === 'Physical') {
+                material = CONFIG.performanceMode
+                    ? createPerformanceMaterial(def, materialProps, envMap)
+                    : createPhysicalMaterial(def, materialProps, envMap);
+            } else {
+                material = createStandardMaterial(def, materialProps, envMap);
+            }
         } else {
-            material = createStandardMaterial(def, materialProps, envMap);
+            material = new THREE.MeshStandardMaterial({
+                color: def.color,
+                emissive: def.emissive,
+                emissiveIntensity: def.emissiveIntensity,
+                metalness: def.metalness,
+                roughness: def.roughness,
+                side: def.type === 'snowflake' ? THREE.DoubleSide : THREE.FrontSide,
+            });
         }
-    } else {
-        material = new THREE.MeshStandardMaterial({
-            color: def.color,
-            emissive: def.emissive,
-            emissiveIntensity: def.emissiveIntensity,
-            metalness: def.metalness,
-            roughness: def.roughness,
-            side: def.type === 'snowflake' ? THREE.DoubleSide : THREE.FrontSide,
-        });
+
+        if (CONFIG.gpuAnimation) {
+            gpu.applyGpuAnimation(material);
+        }
+
+        materialCache.set(key, material);
+        return material;
     }
 
-    materialCache.set(key, material);
-    return material;
+    return { getMaterialFromDefinition, clearMaterialCache, setCachedMaterialsEnvMap };
 }
 
 export function createPhysicalMaterial(def, materialProps, envMap) {
@@ -0,0 +1,188 @@
+// Image morph: particles re-form into a picture's silhouette and take on its colors
+import * as THREE from 'three';
+import { getParticleMeshes } from './particles.js';
+
+const WHITE = new THREE.Color(0xffffff);
+const _color = new THREE.Color();
+const FRAME_MS = 1000 / 60;     // colorSpeed is per 60fps frame; converted to elapsed time below
+const MAX_FRAME_DELTA = 6;
+
+// Draw the image into a small canvas and weight each pixel by alpha or luminance
+function rasterizeImage(image, settings) {
+    const maxSize = settings.resolution;
+    const aspect = image.width / image.height;
+    const width = Math.max(1, Math.round(aspect >= 1 ? maxSize : maxSize * aspect));
+    const height = Math.max(1, Math.round(aspect >= 1 ? maxSize / aspect : maxSize));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    // 'auto' uses alpha for images with transparency, luminance otherwise
+    let source = settings.source;
+    if (source === 'auto') {
+        source = 'luminance';
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 250) {
+                source = 'alpha';
+                break;
+            }
+        }
+    }
+
+    const weights = new Float32Array(width * height);
+    for (let i = 0; i < weights.length; i++) {
+        const r = data[i * 4] / 255;
+        const g = data[i * 4 + 1] / 255;
+        const b = data[i * 4 + 2] / 255;
+        const a = data[i * 4 + 3] / 255;
+        let weight = source === 'alpha' ? a : (0.2126 * r + 0.7152 * g + 0.0722 * b) * a;
+        if (settings.invert) weight = 1 - weight;
+        weights[i] = weight >= settings.threshold ? weight : 0;
+    }
+
+    return { data, weights, width, height };
+}
+
+// Cumulative weights for binary-search sampling; falls back to uniform when nothing passes the threshold
+function buildCumulative(weights) {
+    const cumulative = new Float32Array(weights.length);
+    let total = 0;
+    for (let i = 0; i < weights.length; i++) {
+        total += weights[i];
+        cumulative[i] = total;
+    }
+    if (total === 0) {
+        for (let i = 0; i < weights.length; i++) {
+            cumulative[i] = i + 1;
+        }
+        total = weights.length;
+    }
+    return { cumulative, total };
+}
+
+function pickPixel(random, cumulative, total) {
+    const u = random() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (cumulative[mid] < u) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Sample `count` positions (image plane centered on the origin, +z toward the viewer) and pixel colors
+function sampleRaster(random, raster, count, settings) {
+    const { cumulative, total } = buildCumulative(raster.weights);
+    const unitsPerPixel = Math.min(settings.width / raster.width, settings.height / raster.height);
+    const positions = [];
+    const colors = [];
+
+    for (let i = 0; i < count; i++) {
+        const pixel = pickPixel(random, cumulative, total);
+        const x = pixel % raster.width + random();
+        const y = Math.floor(pixel / raster.width) + random();
+        positions.push(new THREE.Vector3(
+            (x - raster.width / 2) * unitsPerPixel,
+            (raster.height / 2 - y) * unitsPerPixel,
+            (random() - 0.5) * settings.depth,
+        ));
+        colors.push(new THREE.Color().setRGB(
+            raster.data[pixel * 4] / 255,
+            raster.data[pixel * 4 + 1] / 255,
+            raster.data[pixel * 4 + 2] / 255,
+            THREE.SRGBColorSpace,
+        ));
+    }
+
+    return { positions, colors };
+}
+
+// One tree's image morphs. `context`: random (the tree's streams, js/random.js) and gpu
+// (createGpuAnimation in js/animation/gpu.js).
+export function createMorph(context) {
+    const { random: streams, gpu } = context;
+    const random = streams.getRandom('morph');
+
+    // Current blend between material colors (0) and sampled pixel colors (1)
+    let colorBlend = 0;
+    let appliedColorBlend = 0;
+    let lastColorTime = 0;
+
+    // Give each particle list a morph target and color sampled from `image`, facing `camera`
+    function assignMorphTargets(particleLists, image, camera, CONFIG) {
+        const settings = CONFIG.animation.morph;
+        const raster = rasterizeImage(image, settings);
+        streams.resetStream('morph');  // The same image always lands on the same points
+        const facing = new THREE.Matrix4().lookAt(camera.position, new THREE.Vector3(0, 0, 0), camera.up);
+
+        particleLists.forEach(particles => {
+            const { positions, colors } = sampleRaster(random, raster, particles.length, settings);
+            particles.forEach((p, i) => {
+                p.userData.morphTarget = positions[i].applyMatrix4(facing);
+                p.userData.morphColor = colors[i];
+            });
+
+            // The GPU path flies toward aExplosionTarget, so point it at the image for now
+            if (CONFIG.gpuAnimation) {
+                getParticleMeshes(particles).forEach(mesh => {
+                    gpu.updateGpuExplosionTargets(mesh, particles.filter(p => p.mesh === mesh), 'morphTarget');
+                });
+            }
+        });
+    }
+
+    // Point the GPU path back at the explosion targets after a morph
+    function restoreExplosionTargets(particleLists, CONFIG) {
+        if (!CONFIG.gpuAnimation) return;
+        particleLists.forEach(particles => {
+            getParticleMeshes(particles).forEach(mesh => {
+                gpu.updateGpuExplosionTargets(mesh, particles.filter(p => p.mesh === mesh));
+            });
+        });
+    }
+
+    // Instance color a particle shows right now: white, tinted toward its pixel while morphing
+    function getInstanceBaseColor(p, target) {
+        target.copy(WHITE);
+        if (p.userData.morphColor) target.lerp(p.userData.morphColor, colorBlend);
+        return target;
+    }
+
+    // Fade particle colors toward the sampled pixels while morphing and back afterwards (`time` in ms)
+    function animateMorphColors(particleLists, animationState, CONFIG, time) {
+        const settings = CONFIG.animation.morph;
+        const target = animationState === 'MORPHING' ? settings.colorBlend : 0;
+        const frameDelta = lastColorTime ? Math.min((time - lastColorTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastColorTime = time;
+        colorBlend += (target - colorBlend) * (1 - Math.pow(1 - settings.colorSpeed, frameDelta));
+        if (Math.abs(target - colorBlend) < 0.001) colorBlend = target;
+        if (colorBlend === appliedColorBlend) return;
+        appliedColorBlend = colorBlend;
+
+        particleLists.forEach(particles => {
+            particles.forEach(p => {
+                if (!p.userData.morphColor) return;
+                _color.copy(WHITE).lerp(p.userData.morphColor, colorBlend);
+                p.mesh.setColorAt(p.instanceId, _color);
+            });
+
+            // Instance colors multiply the material color, so wash it toward white
+            getParticleMeshes(particles).forEach(mesh => {
+                const material = mesh.material;
+                if (!material.userData.baseColor) {
+                    material.userData.baseColor = material.color.clone();
+                }
+                material.color.copy(material.userData.baseColor).lerp(WHITE, colorBlend);
+                mesh.instanceColor.needsUpdate = true;
+            });
+        });
+    }
+
+    return { assignMorphTargets, restoreExplosionTargets, getInstanceBaseColor, animateMorphColors };
+}
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
 import { getGeometryForType } from './geometry.js';
-import { sampleTreePosition, generateExplosionTargets } from './distribution.js';
-import { getMaterialFromDefinition, validateAndMergeObjectDef, clearMaterialCache } from './materials.js';
+import { createTreeSampler, getExplosionCenter, generateExplosionTargets } from './distribution.js';
+import { validateAndMergeObjectDef } from './materials.js';
+import { setGpuInstanceAttributes } from '../animation/gpu.js';
+
+// Scratch objects for composing instance matrices
+const _matrix = new THREE.Matrix4();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
 
 export function createDefaultTestConfig() {
     return {
@@ -24,153 +30,244 @@ export function createDefaultTestConfig() {
     };
 }
 
-export function createParticleUserData(pos, explosionTarget) {
-    return {
-        originalPos: pos.clone(),
-        explosionTarget: explosionTarget,
-        velocity: new THREE.Vector3(0, 0, 0),
-        rotSpeed: {
-            x: (Math.random() - 0.5) * 0.02,
-            y: (Math.random() - 0.5) * 0.02,
-            z: (Math.random() - 0.5) * 0.02,
-        },
-        individualParallaxShift: new THREE.Vector3(0, 0, 0),
-        baseParallaxSensitivity: 0.5 + Math.random() * 1.0,
-    };
+// Write a particle's position/rotation/scale into its instance matrix
+export function updateParticleInstance(p) {
+    _quaternion.setFromEuler(p.rotation);
+    _scale.setScalar(p.scale);
+    _matrix.compose(p.position, _quaternion, _scale);
+    p.mesh.setMatrixAt(p.instanceId, _matrix);
+    p.mesh.instanceMatrix.needsUpdate = true;
 }
 
-export function createTestParticle(config, explosionTarget, treeGroup, testParticles, CONFIG, envMap) {
-    const geometry = getGeometryForType(config.shape);
+// Unique InstancedMeshes backing a particle list
+export function getParticleMeshes(particles) {
+    return [...new Set(particles.map(p => p.mesh))];
+}
 
-    const materialOverrides = {};
-    const preset = CONFIG.materialPresets[config.materialType] || {};
+export function setParticlesVisible(particles, visible) {
+    getParticleMeshes(particles).forEach(mesh => {
+        mesh.visible = visible;
+    });
+}
 
-    if (config.transmission !== undefined && config.transmission !== (preset.transmission ?? CONFIG.materialDefaults.transmission)) {
-        materialOverrides.transmission = config.transmission;
-    }
-    if (config.thickness !== undefined && config.thickness !== (preset.thickness ?? CONFIG.materialDefaults.thickness)) {
-        materialOverrides.thickness = config.thickness;
-    }
-    if (config.roughness !== undefined && config.roughness !== (preset.roughness ?? CONFIG.materialDefaults.roughness)) {
-        materialOverrides.roughness = config.roughness;
-    }
-    if (config.metalness !== undefined && config.metalness !== (preset.metalness ?? CONFIG.materialDefaults.metalness)) {
-        materialOverrides.metalness = config.metalness;
-    }
-    if (config.clearcoat !== undefined && config.clearcoat !== (preset.clearcoat ?? CONFIG.materialDefaults.clearcoat)) {
-        materialOverrides.clearcoat = config.clearcoat;
-    }
-    if (config.clearcoatRoughness !== undefined && config.clearcoatRoughness !== (preset.clearcoatRoughness ?? CONFIG.materialDefaults.clearcoatRoughness)) {
-        materialOverrides.clearcoatRoughness = config.clearcoatRoughness;
-    }
-    if (config.ior !== undefined && config.ior !== (preset.ior ?? CONFIG.materialDefaults.ior)) {
-        materialOverrides.ior = config.ior;
+export function removeParticles(particles, treeGroup) {
+    getParticleMeshes(particles).forEach(mesh => {
+        treeGroup.remove(mesh);
+        mesh.material.dispose();
+        if (mesh.userData.ownsGeometry) {
+            mesh.geometry.dispose();
+        }
+        mesh.dispose();
+    });
+    particles.length = 0;
+}
+
+// Builds one tree's particles. `context`: random (the tree's streams, js/random.js), materials
+// (createMaterials in materials.js) and gpu (createGpuAnimation in js/animation/gpu.js).
+export function createParticleBuilder(context) {
+    const { random: streams, materials, gpu } = context;
+    const random = streams.getRandom('tree');
+    const staggerRandom = streams.getRandom('choreography');  // Own stream so the tree layout doesn't depend on it
+    const explosionRandom = streams.getRandom('explosion');
+
+    function createParticleUserData(pos, explosionTarget) {
+        return {
+            originalPos: pos.clone(),
+            explosionTarget: explosionTarget,
+            tweenStart: pos.clone(),  // Position when the current explode/return tween began
+            velocity: new THREE.Vector3(0, 0, 0),
+            rotSpeed: {
+                x: (random() - 0.5) * 0.02,
+                y: (random() - 0.5) * 0.02,
+                z: (random() - 0.5) * 0.02,
+            },
+            individualParallaxShift: new THREE.Vector3(0, 0, 0),
+            baseParallaxSensitivity: 0.5 + random() * 1.0,
+            // Start offsets (ms) for the explode/return tweens, set by applyChoreography()
+            explodeDelay: 0,
+            returnDelay: 0,
+            randomStagger: staggerRandom(),  // Fixed 0..1 key for the 'random' choreography mode
+            spinBoost: 0,  // Extra spin (radians/frame) from clicking the ornament, decays over time
+        };
     }
-    if (config.envMapIntensity !== undefined && config.envMapIntensity !== (preset.envMapIntensity ?? CONFIG.materialDefaults.envMapIntensity)) {
-        materialOverrides.envMapIntensity = config.envMapIntensity;
+
+    // Create one InstancedMesh holding `count` particles that share geometry and material
+    function createParticleGroup(geometry, material, count, scale, explosionTargets, targetOffset, objectIndex, CONFIG) {
+        const mesh = new THREE.InstancedMesh(geometry, material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Exploded particles leave the tree's bounds, so culling by the initial bounds would hide them
+        mesh.frustumCulled = false;
+        // White instance colors leave the material color untouched until an image morph tints them
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3).fill(1), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+        const sampleTreePosition = createTreeSampler(CONFIG, random);
+        const groupParticles = [];
+        for (let i = 0; i < count; i++) {
+            const pos = sampleTreePosition();
+            const particle = {
+                mesh,
+                instanceId: i,
+                objectIndex,
+                position: pos.clone(),
+                rotation: new THREE.Euler(random() * Math.PI, random() * Math.PI, random() * Math.PI),
+                scale,
+                userData: createParticleUserData(pos, explosionTargets[targetOffset + i]),
+            };
+            if (!CONFIG.gpuAnimation) {
+                updateParticleInstance(particle);
+            }
+            groupParticles.push(particle);
+        }
+
+        if (CONFIG.gpuAnimation) {
+            setGpuInstanceAttributes(mesh, groupParticles, targetOffset);
+        }
+
+        return { mesh, particles: groupParticles };
     }
 
-    const materialDef = {
-        type: config.shape,
-        color: parseInt(config.color.replace('#', ''), 16),
-        emissive: parseInt(config.emissive.replace('#', ''), 16),
-        emissiveIntensity: config.emissiveIntensity,
-        materialType: config.materialType,
-        materialOverrides: materialOverrides,
-    };
+    function createTestParticleGroup(config, explosionTargets, targetOffset, treeGroup, testParticles, CONFIG, envMap) {
+        const geometry = getGeometryForType(config.shape);
 
-    const material = getMaterialFromDefinition(materialDef, CONFIG, envMap);
+        const materialOverrides = {};
+        const preset = CONFIG.materialPresets[config.materialType] || {};
 
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.scale.setScalar(config.scale);
+        if (config.transmission !== undefined && config.transmission !== (preset.transmission ?? CONFIG.materialDefaults.transmission)) {
+            materialOverrides.transmission = config.transmission;
+        }
+        if (config.thickness !== undefined && config.thickness !== (preset.thickness ?? CONFIG.materialDefaults.thickness)) {
+            materialOverrides.thickness = config.thickness;
+        }
+        if (config.roughness !== undefined && config.roughness !== (preset.roughness ?? CONFIG.materialDefaults.roughness)) {
+            materialOverrides.roughness = config.roughness;
+        }
+        if (config.metalness !== undefined && config.metalness !== (preset.metalness ?? CONFIG.materialDefaults.metalness)) {
+            materialOverrides.metalness = config.metalness;
+        }
+        if (config.clearcoat !== undefined && config.clearcoat !== (preset.clearcoat ?? CONFIG.materialDefaults.clearcoat)) {
+            materialOverrides.clearcoat = config.clearcoat;
+        }
+        if (config.clearcoatRoughness !== undefined && config.clearcoatRoughness !== (preset.clearcoatRoughness ?? CONFIG.materialDefaults.clearcoatRoughness)) {
+            materialOverrides.clearcoatRoughness = config.clearcoatRoughness;
+        }
+        if (config.ior !== undefined && config.ior !== (preset.ior ?? CONFIG.materialDefaults.ior)) {
+            materialOverrides.ior = config.ior;
+        }
+        if (config.envMapIntensity !== undefined && config.envMapIntensity !== (preset.envMapIntensity ?? CONFIG.materialDefaults.envMapIntensity)) {
+            materialOverrides.envMapIntensity = config.envMapIntensity;
+        }
 
-    const pos = sampleTreePosition(CONFIG);
-    mesh.position.copy(pos);
-    mesh.userData = createParticleUserData(pos, explosionTarget);
-    mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+        const materialDef = {
+            type: config.shape,
+            color: parseInt(config.color.replace('#', ''), 16),
+            emissive: parseInt(config.emissive.replace('#', ''), 16),
+            emissiveIntensity: config.emissiveIntensity,
+            materialType: config.materialType,
+            materialOverrides: materialOverrides,
+        };
 
-    treeGroup.add(mesh);
-    testParticles.push(mesh);
-    return mesh;
-}
+        const material = materials.getMaterialFromDefinition(materialDef, CONFIG, envMap);
 
-export function rebuildTreeParticles(particles, treeGroup, testObjectGroups, camera, CONFIG, envMap, guiControls) {
-    particles.forEach(mesh => {
-        treeGroup.remove(mesh);
-        mesh.material.dispose();
-    });
-    particles.length = 0;
+        const { mesh, particles: groupParticles } = createParticleGroup(
+            geometry, material, config.count, config.scale, explosionTargets, targetOffset, -1, CONFIG,
+        );
+
+        treeGroup.add(mesh);
+        testParticles.push(...groupParticles);
+        return groupParticles;
+    }
+
+    // Create tree particles from CONFIG.objects, one InstancedMesh per object definition
+    function createTreeParticles(particles, treeGroup, camera, CONFIG, envMap) {
+        // Restart the streams so the same seed always builds the same tree and explosion field
+        streams.resetStream('tree');
+        streams.resetStream('explosion');
+        streams.resetStream('choreography');
 
-    const totalParticleCount = CONFIG.objects.reduce((sum, obj) => sum + obj.count, 0);
-    const explosionCenter = CONFIG.explosionCenterMode === 'camera'
-        ? new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z)
-        : new THREE.Vector3(0, 0, 0);
-    const explosionTargets = generateExplosionTargets(totalParticleCount, explosionCenter, CONFIG);
+        const totalParticleCount = CONFIG.objects.reduce((sum, obj) => sum + obj.count, 0);
+        const explosionTargets = generateExplosionTargets(totalParticleCount, getExplosionCenter(camera, CONFIG), CONFIG, explosionRandom, camera);
 
-    let explosionTargetIndex = 0;
+        let explosionTargetIndex = 0;
 
-    CONFIG.objects.forEach(objectDef => {
-        const fullDef = validateAndMergeObjectDef(objectDef);
-        const geometry = getGeometryForType(fullDef.type);
-        const material = getMaterialFromDefinition(fullDef, CONFIG, envMap);
+        CONFIG.objects.forEach((objectDef, objectIndex) => {
+            const fullDef = validateAndMergeObjectDef(objectDef);
+            if (fullDef.count === 0) return;
 
-        for (let i = 0; i < fullDef.count; i++) {
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.scale.setScalar(fullDef.scale);
+            const geometry = getGeometryForType(fullDef.type);
+            const material = materials.getMaterialFromDefinition(fullDef, CONFIG, envMap);
 
-            const pos = sampleTreePosition(CONFIG);
-            mesh.userData = createParticleUserData(pos, explosionTargets[explosionTargetIndex++]);
-            mesh.position.copy(pos);
-            mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            const { mesh, particles: groupParticles } = createParticleGroup(
+                geometry, material, fullDef.count, fullDef.scale, explosionTargets, explosionTargetIndex, objectIndex, CONFIG,
+            );
+            explosionTargetIndex += fullDef.count;
 
             treeGroup.add(mesh);
-            particles.push(mesh);
+            particles.push(...groupParticles);
+        });
+    }
+
+    // Give existing particles fresh explosion targets, e.g. after the formation changes.
+    // Particles in flight tween on from where they are: the GPU path swaps the targets in at the next frame,
+    // and the CPU path needs restartParticleTweens() (js/animation/animation.js) after this.
+    // Targets come from where the 'explosion' stream is; the caller resets it once before all the arrays.
+    function regenerateExplosionTargets(particles, camera, CONFIG, pointerCenter = null) {
+        const center = getExplosionCenter(camera, CONFIG, pointerCenter);
+        const targets = generateExplosionTargets(particles.length, center, CONFIG, explosionRandom, camera);
+        particles.forEach((p, i) => {
+            p.userData.explosionTarget = targets[i];
+        });
+
+        if (CONFIG.gpuAnimation) {
+            getParticleMeshes(particles).forEach(mesh => {
+                gpu.updateGpuExplosionTargets(mesh, particles.filter(p => p.mesh === mesh));
+            });
         }
-    });
+    }
 
-    const hasTestObjects = testObjectGroups.reduce((sum, g) => sum + g.count, 0) > 0;
-    particles.forEach(p => {
-        p.visible = CONFIG.showTreeParticles && !hasTestObjects;
-    });
-}
+    function rebuildTreeParticles(particles, treeGroup, testObjectGroups, camera, CONFIG, envMap, guiControls) {
+        removeParticles(particles, treeGroup);
+        createTreeParticles(particles, treeGroup, camera, CONFIG, envMap);
 
-export function rebuildAllTestParticles(testParticles, testObjectGroups, particles, treeGroup, camera, CONFIG, envMap, guiControls) {
-    clearMaterialCache();
+        const hasTestObjects = testObjectGroups.reduce((sum, g) => sum + g.count, 0) > 0;
+        setParticlesVisible(particles, CONFIG.showTreeParticles && !hasTestObjects);
+    }
 
-    testParticles.forEach(mesh => {
-        treeGroup.remove(mesh);
-        mesh.geometry.dispose();
-        mesh.material.dispose();
-    });
-    testParticles.length = 0;
+    function rebuildAllTestParticles(testParticles, testObjectGroups, particles, treeGroup, camera, CONFIG, envMap, guiControls) {
+        materials.clearMaterialCache();
 
-    testObjectGroups.forEach(group => {
-        group.particles = [];
-    });
+        removeParticles(testParticles, treeGroup);
 
-    const totalCount = testObjectGroups.reduce((sum, group) => sum + group.count, 0);
+        testObjectGroups.forEach(group => {
+            group.particles = [];
+        });
 
-    const explosionCenter = CONFIG.explosionCenterMode === 'camera'
-        ? new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z)
-        : new THREE.Vector3(0, 0, 0);
-    const explosionTargets = generateExplosionTargets(totalCount, explosionCenter, CONFIG);
+        const totalCount = testObjectGroups.reduce((sum, group) => sum + group.count, 0);
 
-    let targetIndex = 0;
-    testObjectGroups.forEach(group => {
-        for (let i = 0; i < group.count; i++) {
-            const mesh = createTestParticle(group, explosionTargets[targetIndex++], treeGroup, testParticles, CONFIG, envMap);
-            group.particles.push(mesh);
-        }
-    });
+        const explosionTargets = generateExplosionTargets(totalCount, getExplosionCenter(camera, CONFIG), CONFIG, explosionRandom, camera);
 
-    const hasTestObjects = totalCount > 0;
-    particles.forEach(p => {
-        p.visible = !hasTestObjects && guiControls.showTreeParticles;
-    });
-}
+        let targetIndex = 0;
+        testObjectGroups.forEach(group => {
+            if (group.count === 0) return;
+            group.particles = createTestParticleGroup(group, explosionTargets, targetIndex, treeGroup, testParticles, CONFIG, envMap);
+            targetIndex += group.count;
+        });
+
+        const hasTestObjects = totalCount > 0;
+        setParticlesVisible(particles, !hasTestObjects && guiControls.showTreeParticles);
+    }
 
-export function rebuildAllParticles(particles, testParticles, testObjectGroups, treeGroup, camera, CONFIG, envMap, guiControls) {
-    clearMaterialCache();
-    rebuildTreeParticles(particles, treeGroup, testObjectGroups, camera, CONFIG, envMap, guiControls);
-    rebuildAllTestParticles(testParticles, testObjectGroups, particles, treeGroup, camera, CONFIG, envMap, guiControls);
+    function rebuildAllParticles(particles, testParticles, testObjectGroups, treeGroup, camera, CONFIG, envMap, guiControls) {
+        materials.clearMaterialCache();
+        rebuildTreeParticles(particles, treeGroup, testObjectGroups, camera, CONFIG, envMap, guiControls);
+        rebuildAllTestParticles(testParticles, testObjectGroups, particles, treeGroup, camera, CONFIG, envMap, guiControls);
+    }
+
+    return {
+        createTreeParticles,
+        regenerateExplosionTargets,
+        rebuildTreeParticles,
+        rebuildAllTestParticles,
+        rebuildAllParticles,
+    };
 }
@@ -0,0 +1,182 @@
+// Tree shape generators
+// Each shape samples one point on its surface with density proportional to surface area,
+// so particles spread evenly instead of bunching where the surface is narrow.
+// Heights are measured from the tree top (0) to its base (CONFIG.treeHeight).
+import * as THREE from 'three';
+
+const shapes = new Map();
+const warnedShapes = new Set();
+
+// Register a shape: { params: { key: { label, default, min, max, step } }, sample(CONFIG, params, random) -> Vector3 }
+// `random` is the tree's seeded Math.random() stand-in (see js/random.js)
+export function registerTreeShape(name, shape) {
+    shapes.set(name, shape);
+}
+
+export function getTreeShape(name) {
+    if (!shapes.has(name)) {
+        // Sampled once per particle, so only warn the first time
+        if (!warnedShapes.has(name)) {
+            warnedShapes.add(name);
+            console.warn(`Unknown tree shape: ${name}, falling back to cone`);
+        }
+        return shapes.get('cone');
+    }
+    return shapes.get(name);
+}
+
+export function getTreeShapeNames() {
+    return [...shapes.keys()];
+}
+
+// Shape defaults overridden by CONFIG.sceneSetup.treeGeometry.shapes[name]
+export function getTreeShapeParams(CONFIG, name) {
+    const shape = getTreeShape(name);
+    const defaults = {};
+    Object.entries(shape.params).forEach(([key, meta]) => {
+        defaults[key] = meta.default;
+    });
+    return { ...defaults, ...(CONFIG.sceneSetup.treeGeometry.shapes?.[name] || {}) };
+}
+
+// Sample t (0 = top edge, 1 = bottom edge) on a frustum whose radius grows linearly from
+// rTop to rBottom. Lateral area density is proportional to the radius, so invert its CDF.
+function sampleFrustumT(random, rTop, rBottom) {
+    const u = random();
+    if (Math.abs(rBottom - rTop) < 1e-6) return u;
+    const r = Math.sqrt(rTop * rTop + u * (rBottom * rBottom - rTop * rTop));
+    return (r - rTop) / (rBottom - rTop);
+}
+
+// Lateral surface area of a frustum (without the constant pi factor)
+function frustumArea(rTop, rBottom, height) {
+    return (rTop + rBottom) * Math.sqrt(height * height + (rBottom - rTop) ** 2);
+}
+
+// Pick a segment index weighted by its area
+function pickWeighted(random, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let u = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        u -= weights[i];
+        if (u <= 0) return i;
+    }
+    return weights.length - 1;
+}
+
+// Point at `depth` below the tree top, pushed toward the surface (innerFraction..1 of radius)
+function placeOnRing(CONFIG, random, depth, radius, innerFraction, theta = random() * Math.PI * 2) {
+    const r = radius * (innerFraction + random() * (1 - innerFraction));
+    return new THREE.Vector3(
+        r * Math.cos(theta),
+        (CONFIG.treeHeight / 2) - depth,
+        r * Math.sin(theta),
+    );
+}
+
+// Sample a surface of revolution described by [depthFraction, radiusFraction] points
+function samplePiecewiseFrustums(CONFIG, random, segments, innerFraction) {
+    const weights = segments.map(s => frustumArea(s.rTop, s.rBottom, s.yBottom - s.yTop));
+    const segment = segments[pickWeighted(random, weights)];
+    const t = sampleFrustumT(random, segment.rTop, segment.rBottom);
+    const depth = segment.yTop + t * (segment.yBottom - segment.yTop);
+    const radius = segment.rTop + t * (segment.rBottom - segment.rTop);
+    return placeOnRing(CONFIG, random, depth, radius, innerFraction);
+}
+
+// Hollow cone - sqrt height sampling biased toward the bottom where circumference is larger
+registerTreeShape('cone', {
+    params: {
+        innerFraction: { label: 'Inner Fraction', default: 0.6, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const heightFraction = Math.sqrt(random());
+        const depth = heightFraction * CONFIG.treeHeight;
+        const radiusAtHeight = heightFraction * CONFIG.treeRadius;
+        return placeOnRing(CONFIG, random, depth, radiusAtHeight, params.innerFraction);
+    },
+});
+
+// Stacked frustums like the branch layers of a fir tree
+registerTreeShape('tiered', {
+    params: {
+        tiers: { label: 'Tiers', default: 5, min: 1, max: 12, step: 1 },
+        taper: { label: 'Taper', default: 0.45, min: 0, max: 1, step: 0.01 },     // Tier top radius / tier bottom radius
+        overlap: { label: 'Overlap', default: 0.3, min: 0, max: 1, step: 0.01 },    // How far each tier reaches into the next
+        innerFraction: { label: 'Inner Fraction', default: 0.7, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const tiers = Math.max(1, Math.round(params.tiers));
+        const step = CONFIG.treeHeight / tiers;
+        const segments = [];
+        for (let i = 0; i < tiers; i++) {
+            const rBottom = CONFIG.treeRadius * (i + 1) / tiers;
+            segments.push({
+                yTop: i * step,
+                yBottom: Math.min(CONFIG.treeHeight, (i + 1 + params.overlap) * step),
+                rTop: rBottom * params.taper,
+                rBottom,
+            });
+        }
+        return samplePiecewiseFrustums(CONFIG, random, segments, params.innerFraction);
+    },
+});
+
+// Garland band winding around a cone
+registerTreeShape('spiral', {
+    params: {
+        turns: { label: 'Turns', default: 6, min: 1, max: 20, step: 0.5 },
+        width: { label: 'Band Width', default: 0.25, min: 0.01, max: 1, step: 0.01 },  // Band width as a fraction of one turn
+        innerFraction: { label: 'Inner Fraction', default: 0.9, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const t = sampleFrustumT(random, 0, CONFIG.treeRadius);
+        const theta = (t * params.turns + (random() - 0.5) * params.width) * Math.PI * 2;
+        return placeOnRing(CONFIG, random, t * CONFIG.treeHeight, t * CONFIG.treeRadius, params.innerFraction, theta);
+    },
+});
+
+// Straight column - lateral area is uniform in height
+registerTreeShape('cylinder', {
+    params: {
+        innerFraction: { label: 'Inner Fraction', default: 0.6, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const depth = random() * CONFIG.treeHeight;
+        return placeOnRing(CONFIG, random, depth, CONFIG.treeRadius, params.innerFraction);
+    },
+});
+
+// Bauble of radius treeRadius - uniform height sampling is area-uniform on a sphere
+registerTreeShape('sphere', {
+    params: {
+        innerFraction: { label: 'Inner Fraction', default: 0.6, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const y = 2 * random() - 1;
+        const theta = random() * Math.PI * 2;
+        const ring = Math.sqrt(1 - y * y);
+        const r = CONFIG.treeRadius * (params.innerFraction + random() * (1 - params.innerFraction));
+        return new THREE.Vector3(r * ring * Math.cos(theta), r * y, r * ring * Math.sin(theta));
+    },
+});
+
+// Custom silhouette: profile of [depthFraction, radiusFraction] points from top (0) to base (1)
+registerTreeShape('custom', {
+    params: {
+        innerFraction: { label: 'Inner Fraction', default: 0.6, min: 0, max: 1, step: 0.01 },
+    },
+    sample(CONFIG, params, random) {
+        const profile = params.profile?.length >= 2 ? params.profile : [[0, 0], [1, 1]];
+        const segments = [];
+        for (let i = 0; i < profile.length - 1; i++) {
+            segments.push({
+                yTop: profile[i][0] * CONFIG.treeHeight,
+                yBottom: profile[i + 1][0] * CONFIG.treeHeight,
+                rTop: profile[i][1] * CONFIG.treeRadius,
+                rBottom: profile[i + 1][1] * CONFIG.treeRadius,
+            });
+        }
+        return samplePiecewiseFrustums(CONFIG, random, segments, params.innerFraction);
+    },
+});
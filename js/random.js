@@ -0,0 +1,71 @@
+// Seeded random numbers
+// Every particle and showcase module draws from a named stream instead of Math.random(),
+// so the same seed reproduces the same tree, explosion field and image order.
+// Streams are independent: drawing more from one never shifts the others. Each tree has its own.
+
+// Stream states start from the seed mixed with a hash of the stream name
+function hashString(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+}
+
+// Fresh seed for the "reseed" action or when none is configured
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Seed priority: ?seed= parameter (`params`, see js/core/dom.js), then CONFIG.seed, then a fresh random seed.
+// CONFIG.seed is set to the seed in use.
+export function createRandom(CONFIG, params) {
+    let seed = 0;
+    const streams = new Map();  // name -> mulberry32 state
+
+    function nextFloat(name) {
+        if (!streams.has(name)) {
+            streams.set(name, (seed ^ hashString(name)) >>> 0);
+        }
+
+        // mulberry32
+        let t = (streams.get(name) + 0x6D2B79F5) >>> 0;
+        streams.set(name, t);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Set the seed and restart every stream. Non-numeric seeds (e.g. ?seed=snow) are hashed.
+    function setSeed(value) {
+        const number = Number(value);
+        seed = Number.isNaN(number) ? hashString(String(value)) : number >>> 0;
+        streams.clear();
+    }
+
+    function getSeed() {
+        return seed;
+    }
+
+    // Restart one stream so the next draws repeat from the beginning (e.g. before rebuilding the tree)
+    function resetStream(name) {
+        streams.delete(name);
+    }
+
+    // Returns a Math.random()-style function bound to a named stream
+    function getRandom(name) {
+        return () => nextFloat(name);
+    }
+
+    const param = params.get('seed');
+    if (param !== null && param !== '') {
+        setSeed(param);
+    } else if (CONFIG.seed !== null && CONFIG.seed !== undefined) {
+        setSeed(CONFIG.seed);
+    } else {
+        setSeed(createSeed());
+    }
+    CONFIG.seed = seed;
+
+    return { getRandom, resetStream, setSeed, getSeed };
+}
@@ -0,0 +1,137 @@
+// Linked ornaments: a subset of ornaments each carry one showcase image.
+// Clicking one zooms the camera to it and the showcase box unfolds from it.
+import * as THREE from 'three';
+
+const ORIGIN = new THREE.Vector3(0, 0, 0);
+const FRAME_MS = 1000 / 60;     // focusSpeed is per 60fps frame; converted to elapsed time below
+const MAX_FRAME_DELTA = 6;      // A stalled tab doesn't jump the camera all the way
+
+const _ornament = new THREE.Vector3();
+const _focusPos = new THREE.Vector3();
+const _lookAt = new THREE.Vector3();
+
+// `context`: the tree group and the tree's random streams (js/random.js)
+export function createLinkedOrnaments(CONFIG, context) {
+    const { treeGroup } = context;
+    const streams = context.random;
+    const random = streams.getRandom('linked');
+
+    // Camera focus state: blend 0 = home view, 1 = zoomed in on `focused`
+    let focused = null;
+    let focusOpen = false;
+    let focusBlend = 0;
+    const home = new THREE.Vector3();
+    let homeZoom = 1;
+    let focusCamera = null;
+    let lastFrameTime = 0;
+
+    // Give up to `count` ornaments of the configured types one image index each (same seed, same ornaments)
+    function assignLinkedImages(particleLists, imageCount) {
+        const settings = CONFIG.showcase.linked;
+        const all = particleLists.flat();
+        all.forEach(p => {
+            p.userData.linkedImage = null;
+        });
+        if (!settings.enabled || imageCount === 0) return;
+
+        const candidates = all.filter(p => {
+            const objectDef = CONFIG.objects[p.objectIndex];
+            return objectDef && settings.objectTypes.includes(objectDef.type);
+        });
+        if (candidates.length === 0) {
+            console.warn(`No ornaments of type ${settings.objectTypes.join(', ')} to link images to`);
+            return;
+        }
+
+        // Partial Fisher-Yates shuffle picks the linked ornaments
+        streams.resetStream('linked');
+        const count = Math.min(settings.count || imageCount, candidates.length);
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (candidates.length - i));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            candidates[i].userData.linkedImage = i % imageCount;
+        }
+    }
+
+    // Image index a particle carries, or null
+    function getLinkedImage(p) {
+        return p.userData.linkedImage ?? null;
+    }
+
+    // World position of an ornament (it moves with the tree's parallax and spin)
+    function getOrnamentWorldPosition(p, target) {
+        return treeGroup.localToWorld(target.copy(p.position));
+    }
+
+    function isLinkedOrnamentOpen() {
+        return focusOpen;
+    }
+
+    function openLinkedOrnament(p, camera) {
+        // Remember where the camera was, unless it is still on its way back from the last ornament
+        if (focusBlend === 0) {
+            home.copy(camera.position);
+            homeZoom = camera.zoom;
+            focusCamera = camera;
+        }
+        focused = p;
+        focusOpen = true;
+    }
+
+    function closeLinkedOrnament() {
+        focusOpen = false;
+    }
+
+    // Called every frame: ease the camera toward the focused ornament, or back home once closed
+    function updateLinkedFocus(camera) {
+        if (!focused) {
+            lastFrameTime = 0;
+            return;
+        }
+
+        // A view switch mid-focus leaves the old camera where it was
+        if (camera !== focusCamera) {
+            focusCamera.position.copy(home);
+            focusCamera.zoom = homeZoom;
+            focusCamera.updateProjectionMatrix();
+            focusCamera.lookAt(ORIGIN);
+            focused = null;
+            focusOpen = false;
+            focusBlend = 0;
+            return;
+        }
+
+        const settings = CONFIG.showcase.linked;
+        const target = focusOpen ? 1 : 0;
+        const now = performance.now();
+        const frameDelta = lastFrameTime ? Math.min((now - lastFrameTime) / FRAME_MS, MAX_FRAME_DELTA) : 1;
+        lastFrameTime = now;
+        focusBlend += (target - focusBlend) * (1 - Math.pow(1 - settings.focusSpeed, frameDelta));
+        if (Math.abs(target - focusBlend) < 0.001) focusBlend = target;
+
+        // Zoomed-in position: on the line from the ornament toward the home view
+        getOrnamentWorldPosition(focused, _ornament);
+        _focusPos.subVectors(home, _ornament).setLength(settings.zoomDistance).add(_ornament);
+
+        camera.position.lerpVectors(home, _focusPos, focusBlend);
+        if (camera.isOrthographicCamera) {
+            camera.zoom = homeZoom + (homeZoom * settings.orthoZoom - homeZoom) * focusBlend;
+            camera.updateProjectionMatrix();
+        }
+        camera.lookAt(_lookAt.lerpVectors(ORIGIN, _ornament, focusBlend));
+
+        if (focusBlend === 0) {
+            focused = null;
+        }
+    }
+
+    return {
+        assignLinkedImages,
+        getLinkedImage,
+        getOrnamentWorldPosition,
+        isLinkedOrnamentOpen,
+        openLinkedOrnament,
+        closeLinkedOrnament,
+        updateLinkedFocus,
+    };
+}
@@ -0,0 +1,31 @@
+// On-screen panel listing configuration problems (see js/configSchema.js) until it is dismissed
+
+const MAX_ITEMS = 20;
+
+// `dom`: the tree's dom (js/core/dom.js)
+export function createConfigErrors(dom) {
+    const panel = dom.getElement('config-errors');
+    const list = dom.getElement('config-errors-list');
+
+    dom.getElement('config-errors-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+        list.replaceChildren();
+    });
+
+    // Adds `messages` below any still on screen (the oldest go first past MAX_ITEMS)
+    function showConfigErrors(messages) {
+        if (!panel || messages.length === 0) return;
+
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        while (list.children.length > MAX_ITEMS) {
+            list.firstElementChild.remove();
+        }
+        panel.classList.remove('hidden');
+    }
+
+    return { showConfigErrors };
+}
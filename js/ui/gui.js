@@ -1,7 +1,11 @@
 // dat.GUI control panel setup
 import { GUI } from 'dat.gui';
-import { createDefaultTestConfig } from '../particles/particles.js';
-import { createEnvironmentMap } from '../core/environment.js';
+import { createDefaultTestConfig, setParticlesVisible } from '../particles/particles.js';
+import { getTreeShape, getTreeShapeNames, getTreeShapeParams } from '../particles/shapes.js';
+import { getFormation, getFormationNames, getFormationParams } from '../particles/formations.js';
+import { createSeed } from '../random.js';
+import { getEasingNames } from '../animation/easing.js';
+import { getChoreographyModes } from '../animation/choreography.js';
 
 // Helper to convert hex number to hex string for dat.GUI
 function hexToString(hex) {
@@ -13,12 +17,17 @@ function stringToHex(str) {
     return parseInt(str.replace('#', ''), 16);
 }
 
+// dat.GUI puts its styles in the document head, which doesn't reach into a shadow root
+function copyGuiStyles(container) {
+    const style = [...document.head.querySelectorAll('style')].find(el => el.textContent.includes('.dg.main'));
+    if (style) container.appendChild(style.cloneNode(true));
+}
+
 export function createGUI(CONFIG, context, callbacks) {
     const {
         perspectiveCamera,
         orthographicCamera,
         renderer,
-        scene,
         renderPass,
         bloomPass,
         ambientLight,
@@ -32,18 +41,33 @@ export function createGUI(CONFIG, context, callbacks) {
         testParticles,
         testObjectGroups,
         state,
+        random,
+        sequencer,
+        kiosk,
+        cameraTransition,
+        cinematic,
+        dom,
     } = context;
 
     const {
         rebuildAllParticles,
         rebuildAllTestParticles,
+        regenerateExplosionTargets,
+        relinkOrnaments,
+        refreshZoom,
+        replaceEnvironmentMap,
+        morphToImage,
+        getCurrentShowcaseImage,
+        loadImageFile,
         switchImageSet,
         loadImageSetsManifest,
         setFpsVisibility,
     } = callbacks;
 
-    const gui = new GUI();
-    document.body.appendChild(gui.domElement);
+    // Placed by hand in the tree's own app body, so each <christmas-tree> gets its panel inside the element
+    const gui = new GUI({ autoPlace: false, hideable: true, resizable: true, scrollable: true });
+    if (dom.getHost()) copyGuiStyles(dom.getAppBody());
+    dom.getAppBody().appendChild(gui.domElement);
     gui.domElement.style.position = 'absolute';
     gui.domElement.style.top = '10px';
     gui.domElement.style.right = '10px';
@@ -56,10 +80,14 @@ export function createGUI(CONFIG, context, callbacks) {
 
     // GUI controls object - uses hex strings for colors
     const guiControls = {
+        // === Scene Setup - Seed ===
+        seed: String(random.getSeed()),
+
         // === Scene Setup - Tree Geometry ===
         treeHeight: CONFIG.treeHeight,
         treeRadius: CONFIG.treeRadius,
         treeYOffset: CONFIG.treeYOffset,
+        treeShape: CONFIG.treeShape,
 
         // === Scene Setup - Camera & View ===
         cameraX: CONFIG.cameraX,
@@ -69,8 +97,13 @@ export function createGUI(CONFIG, context, callbacks) {
         explodedViewType: CONFIG.explodedViewType,
         isometricZoom: CONFIG.isometricZoom,
         isometricAngle: CONFIG.isometricAngle,
+        cameraTransitionDuration: CONFIG.cameraTransitionDuration,
+        cinematicPath: 'idle',
+        cinematicPreview: false,
+        cinematicScrub: 0,
 
         // === Interaction ===
+        interactionMode: CONFIG.interactionMode,
         reassembleOnClick: CONFIG.reassembleOnClick,
         resetMouseOnLeave: CONFIG.resetMouseOnLeave,
 
@@ -79,8 +112,12 @@ export function createGUI(CONFIG, context, callbacks) {
         idleFloatAmount: CONFIG.idleFloatAmount,
 
         // === Animation & Effects - Explosion Animation ===
-        animationSpeed: CONFIG.animationSpeed,
+        explosionMode: CONFIG.explosionMode,
+        explodeDuration: CONFIG.explodeDuration,
+        explodeEasing: CONFIG.explodeEasing,
         holdDuration: CONFIG.holdDuration,
+        returnDuration: CONFIG.returnDuration,
+        returnEasing: CONFIG.returnEasing,
 
         // === Animation & Effects - Parallax Settings - Idle Parallax ===
         parallaxEnabled: CONFIG.parallaxEnabled,
@@ -103,6 +140,14 @@ export function createGUI(CONFIG, context, callbacks) {
         explosionOffsetX: CONFIG.explosionOffsetX,
         explosionOffsetY: CONFIG.explosionOffsetY,
         explosionOffsetZ: CONFIG.explosionOffsetZ,
+        explosionFormation: CONFIG.explosionFormation,
+
+        // === Animation & Effects - Image Morph ===
+        morphOnExplosion: CONFIG.morphOnExplosion,
+        morphSource: CONFIG.animation.morph.source,
+        morphThreshold: CONFIG.animation.morph.threshold,
+        morphInvert: CONFIG.animation.morph.invert,
+        morphColorBlend: CONFIG.animation.morph.colorBlend,
 
         // === Rendering & Visuals - Post Processing ===
         bloomStrength: CONFIG.bloomStrength,
@@ -151,6 +196,7 @@ export function createGUI(CONFIG, context, callbacks) {
         // === UI & Performance - Performance ===
         performanceMode: CONFIG.performanceMode,
         uncapFPS: CONFIG.uncapFPS,
+        gpuAnimation: CONFIG.gpuAnimation,
 
         // === Showcase ===
         imageDelay: CONFIG.imageDelay,
@@ -162,6 +208,29 @@ export function createGUI(CONFIG, context, callbacks) {
     // ========================================
     const sceneSetupFolder = gui.addFolder('Scene Setup');
 
+    // Seed - also written to the URL so a copied link reproduces the scene (not the host page's URL)
+    function applySeed(value) {
+        random.setSeed(value);
+        CONFIG.seed = random.getSeed();
+        guiControls.seed = String(random.getSeed());
+        seedController.updateDisplay();
+
+        if (!dom.getHost()) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', guiControls.seed);
+            window.history.replaceState(null, '', url);
+        }
+
+        rebuildAllParticles();
+    }
+    const seedController = sceneSetupFolder.add(guiControls, 'seed').name('Seed').onFinishChange(val => {
+        applySeed(val);
+    });
+    guiControls.reseed = function() {
+        applySeed(createSeed());
+    };
+    sceneSetupFolder.add(guiControls, 'reseed').name('🎲 Reseed');
+
     // Tree Geometry
     const treeGeometryFolder = sceneSetupFolder.addFolder('Tree Geometry');
     treeGeometryFolder.add(guiControls, 'treeHeight', 10, 100).name('Height').onChange(val => {
@@ -176,42 +245,77 @@ export function createGUI(CONFIG, context, callbacks) {
         CONFIG.treeYOffset = val;
     });
 
+    // Shape parameters folder is rebuilt whenever the shape changes
+    let shapeParamsFolder = null;
+    function createShapeParamsGUI(shapeName) {
+        if (shapeParamsFolder) {
+            treeGeometryFolder.removeFolder(shapeParamsFolder);
+        }
+        shapeParamsFolder = treeGeometryFolder.addFolder('Shape Parameters');
+
+        // Like getTreeShapeParams, cope with a config that has no per-shape parameters at all
+        const treeGeometry = CONFIG.sceneSetup.treeGeometry;
+        if (!treeGeometry.shapes) treeGeometry.shapes = {};
+        const shapes = treeGeometry.shapes;
+        shapes[shapeName] = getTreeShapeParams(CONFIG, shapeName);
+
+        Object.entries(getTreeShape(shapeName).params).forEach(([key, meta]) => {
+            shapeParamsFolder.add(shapes[shapeName], key, meta.min, meta.max, meta.step)
+                .name(meta.label)
+                .onChange(() => rebuildAllParticles());
+        });
+        shapeParamsFolder.open();
+    }
+
+    treeGeometryFolder.add(guiControls, 'treeShape', getTreeShapeNames()).name('Shape').onChange(val => {
+        CONFIG.treeShape = val;
+        createShapeParamsGUI(val);
+        rebuildAllParticles();
+    });
+    createShapeParamsGUI(CONFIG.treeShape);
+
     // Camera & View
     const cameraFolder = sceneSetupFolder.addFolder('Camera & View');
     cameraFolder.add(guiControls, 'cameraX', -50, 50).name('Camera X').onChange(val => {
         perspectiveCamera.position.x = val;
         CONFIG.cameraX = val;
+        refreshZoom();
     });
     cameraFolder.add(guiControls, 'cameraY', -50, 50).name('Camera Y').onChange(val => {
         perspectiveCamera.position.y = val;
         CONFIG.cameraY = val;
+        refreshZoom();
     });
     cameraFolder.add(guiControls, 'cameraZ', -50, 50).name('Camera Z').onChange(val => {
         perspectiveCamera.position.z = val;
         CONFIG.cameraZ = val;
+        refreshZoom();
     });
     cameraFolder.add(guiControls, 'viewType', ['perspective', 'isometric']).name('View Type').onChange(val => {
         CONFIG.viewType = val;
-        if (state.animationState !== 'EXPLODING') {
+        if (state.animationState !== 'EXPLODING' && state.animationState !== 'MORPHING') {
+            cameraTransition.cancelCameraTransition();
             state.camera = val === 'isometric' ? orthographicCamera : perspectiveCamera;
             renderPass.camera = state.camera;
         }
     });
     cameraFolder.add(guiControls, 'explodedViewType', ['perspective', 'isometric']).name('Exploded View').onChange(val => {
         CONFIG.explodedViewType = val;
-        if (state.animationState === 'EXPLODING') {
+        if (state.animationState === 'EXPLODING' || state.animationState === 'MORPHING') {
+            cameraTransition.cancelCameraTransition();
             state.camera = val === 'isometric' ? orthographicCamera : perspectiveCamera;
             renderPass.camera = state.camera;
         }
     });
     cameraFolder.add(guiControls, 'isometricZoom', 20, 150).name('Iso Zoom').onChange(val => {
         CONFIG.isometricZoom = val;
-        const aspect = window.innerWidth / window.innerHeight;
+        const aspect = orthographicCamera.userData.aspect ?? window.innerWidth / window.innerHeight;
         orthographicCamera.left = val * aspect / -2;
         orthographicCamera.right = val * aspect / 2;
         orthographicCamera.top = val / 2;
         orthographicCamera.bottom = val / -2;
         orthographicCamera.updateProjectionMatrix();
+        refreshZoom();
     });
     cameraFolder.add(guiControls, 'isometricAngle', 0, 90).name('Iso Angle').onChange(val => {
         CONFIG.isometricAngle = val;
@@ -226,11 +330,39 @@ export function createGUI(CONFIG, context, callbacks) {
         );
         orthographicCamera.lookAt(0, 0, 0);
     });
+    cameraFolder.add(guiControls, 'cameraTransitionDuration', 0, 3000, 50).name('View Blend (ms)').onChange(val => {
+        CONFIG.cameraTransitionDuration = val;
+    });
+
+    // Cinematic paths - played with Interaction → Mode 'cinematic'; the preview holds the camera on a path
+    const cinematicFolder = cameraFolder.addFolder('Cinematic');
+    const { cinematic } = CONFIG.sceneSetup.camera;
+    const updatePreview = () => {
+        if (guiControls.cinematicPreview) {
+            cinematic.previewCinematicPath(guiControls.cinematicPath, guiControls.cinematicScrub);
+        } else {
+            cinematic.stopCinematicPreview();
+        }
+    };
+    cinematicFolder.add(cinematic, 'blendDuration', 0, 5000, 100).name('Blend In (ms)');
+    cinematicFolder.add(guiControls, 'cinematicPath', cinematic.getCinematicPathNames()).name('Path').onChange(updatePreview);
+    const previewController = cinematicFolder.add(guiControls, 'cinematicPreview').name('Preview').onChange(updatePreview);
+    cinematicFolder.add(guiControls, 'cinematicScrub', 0, 1, 0.001).name('Scrub').onChange(val => {
+        // Scrubbing implies previewing
+        if (!guiControls.cinematicPreview) {
+            guiControls.cinematicPreview = true;
+            previewController.updateDisplay();
+        }
+        updatePreview();
+    });
 
     // ========================================
     // 2. INTERACTION
     // ========================================
     const interactionFolder = gui.addFolder('Interaction');
+    interactionFolder.add(guiControls, 'interactionMode', ['parallax', 'orbit', 'cinematic']).name('Mode').onChange(val => {
+        CONFIG.interactionMode = val;
+    });
     interactionFolder.add(guiControls, 'reassembleOnClick').name('Reassemble on Click').onChange(val => {
         CONFIG.reassembleOnClick = val;
     });
@@ -238,6 +370,34 @@ export function createGUI(CONFIG, context, callbacks) {
         CONFIG.resetMouseOnLeave = val;
     });
 
+    // Orbit mode - edited in place on CONFIG
+    const orbitFolder = interactionFolder.addFolder('Orbit');
+    const { orbit } = CONFIG.interaction;
+    orbitFolder.add(orbit, 'rotateSpeed', 0.1, 3, 0.1).name('Rotate Speed');
+    orbitFolder.add(orbit, 'damping', 0.01, 1, 0.01).name('Damping');
+    orbitFolder.add(orbit, 'minPolarAngle', 0, 180, 1).name('Min Polar Angle');
+    orbitFolder.add(orbit, 'maxPolarAngle', 0, 180, 1).name('Max Polar Angle');
+    orbitFolder.add(orbit, 'autoRotate').name('Auto Rotate');
+    orbitFolder.add(orbit, 'autoRotateSpeed', -1, 1, 0.01).name('Auto Rotate Speed');
+    orbitFolder.add(orbit, 'autoRotateDelay', 0, 30000, 500).name('Auto Rotate Delay (ms)');
+
+    // Kiosk / attract mode - edited in place on CONFIG
+    const kioskFolder = interactionFolder.addFolder('Kiosk');
+    const { kiosk } = CONFIG.interaction;
+    kioskFolder.add(kiosk, 'enabled').name('Enabled').onChange(val => kiosk.setKioskEnabled(val));
+    kioskFolder.add(kiosk, 'idleTimeout', 5000, 300000, 1000).name('Idle Timeout (ms)');
+    kioskFolder.add(kiosk, 'interval', 0, 120000, 1000).name('Explode Every (ms)');
+    kioskFolder.add(kiosk, 'imageInterval', 0, 30000, 500).name('Image Every (ms)');
+
+    // Ornament picking - edited in place on CONFIG
+    const pickingFolder = interactionFolder.addFolder('Ornament Picking');
+    const { picking } = CONFIG.interaction;
+    pickingFolder.add(picking, 'enabled').name('Enabled');
+    pickingFolder.add(picking, 'hover').name('Hover Glow');
+    pickingFolder.add(picking, 'glowIntensity', 0, 5, 0.1).name('Glow Intensity');
+    pickingFolder.add(picking, 'glowSpeed', 0, 0.03, 0.001).name('Glow Speed');
+    pickingFolder.add(picking, 'clickAction', ['explode', 'spin', 'none']).name('Click Action');
+
     // ========================================
     // 3. ANIMATION & EFFECTS
     // ========================================
@@ -254,12 +414,61 @@ export function createGUI(CONFIG, context, callbacks) {
 
     // Explosion Animation
     const explosionAnimFolder = animationFolder.addFolder('Explosion Animation');
-    explosionAnimFolder.add(guiControls, 'animationSpeed', 0.01, 0.5, 0.01).name('Speed').onChange(val => {
-        CONFIG.animationSpeed = val;
+    explosionAnimFolder.add(guiControls, 'explosionMode', ['tween', 'physics']).name('Mode').onChange(val => {
+        CONFIG.explosionMode = val;
+    });
+    explosionAnimFolder.add(guiControls, 'explodeDuration', 0, 5000, 50).name('Explode Duration (ms)').onChange(val => {
+        CONFIG.explodeDuration = val;
+    });
+    explosionAnimFolder.add(guiControls, 'explodeEasing', getEasingNames()).name('Explode Easing').onChange(val => {
+        CONFIG.explodeEasing = val;
     });
     explosionAnimFolder.add(guiControls, 'holdDuration', 1000, 60000, 1000).name('Hold Duration (ms)').onChange(val => {
         CONFIG.holdDuration = val;
     });
+    explosionAnimFolder.add(guiControls, 'returnDuration', 0, 5000, 50).name('Return Duration (ms)').onChange(val => {
+        CONFIG.returnDuration = val;
+    });
+    explosionAnimFolder.add(guiControls, 'returnEasing', getEasingNames()).name('Return Easing').onChange(val => {
+        CONFIG.returnEasing = val;
+    });
+
+    // Physics - used when Mode is 'physics' (CPU animation only), edited in place on CONFIG
+    const physicsFolder = explosionAnimFolder.addFolder('Physics (CPU only)');
+    const { physics } = CONFIG.animation;
+    physicsFolder.add(physics, 'impulse', 0, 150, 1).name('Impulse');
+    physicsFolder.add(physics, 'impulseJitter', 0, 1, 0.05).name('Impulse Jitter');
+    physicsFolder.add(physics, 'drag', 0, 10, 0.1).name('Drag');
+    physicsFolder.add(physics, 'gravity', -60, 60, 1).name('Gravity');
+    physicsFolder.add(physics, 'spring', 0.5, 50, 0.5).name('Spring');
+    physicsFolder.add(physics, 'settleTime', 0, 5, 0.1).name('Settle Time (s)');
+    physicsFolder.add(physics, 'settleDamping', 0.1, 2, 0.05).name('Settle Damping');
+    physicsFolder.add(physics, 'returnStiffness', 0.5, 20, 0.5).name('Return Stiffness');
+
+    // Choreography - per-particle start delays, edited in place on CONFIG
+    const choreographyFolder = animationFolder.addFolder('Choreography');
+    const { choreography } = CONFIG.animation;
+    choreographyFolder.add(choreography.explode, 'mode', getChoreographyModes()).name('Explode Mode');
+    choreographyFolder.add(choreography.explode, 'spread', 0, 5000, 50).name('Explode Spread (ms)');
+    choreographyFolder.add(choreography.return, 'mode', getChoreographyModes()).name('Return Mode');
+    choreographyFolder.add(choreography.return, 'spread', 0, 5000, 50).name('Return Spread (ms)');
+
+    // Timeline - load and play a scripted show
+    const timelineFolder = animationFolder.addFolder('Timeline');
+    guiControls.timelineUrl = CONFIG.animation.timeline.url || '';
+    guiControls.playTimeline = async function() {
+        if (!guiControls.timelineUrl) {
+            console.warn('No timeline URL to play');
+            return;
+        }
+        sequencer.playTimeline(await sequencer.loadTimeline(guiControls.timelineUrl));
+    };
+    guiControls.stopTimeline = function() {
+        sequencer.stopTimeline();
+    };
+    timelineFolder.add(guiControls, 'timelineUrl').name('URL');
+    timelineFolder.add(guiControls, 'playTimeline').name('▶ Play');
+    timelineFolder.add(guiControls, 'stopTimeline').name('■ Stop');
 
     // Parallax Settings
     const parallaxSettingsFolder = animationFolder.addFolder('Parallax Settings');
@@ -302,25 +511,108 @@ export function createGUI(CONFIG, context, callbacks) {
 
     // Explosion Distribution
     const explosionDistFolder = animationFolder.addFolder('Explosion Distribution');
+    explosionDistFolder.add(guiControls, 'explosionFormation', getFormationNames()).name('Formation').onChange(val => {
+        CONFIG.explosionFormation = val;
+        createFormationParamsGUI(val);
+        regenerateExplosionTargets();
+    });
     explosionDistFolder.add(guiControls, 'explosionInnerRadius', 0, 100).name('Inner Radius').onChange(val => {
         CONFIG.explosionInnerRadius = val;
+        regenerateExplosionTargets();
     });
     explosionDistFolder.add(guiControls, 'explosionOuterRadius', 0, 150).name('Outer Radius').onChange(val => {
         CONFIG.explosionOuterRadius = val;
+        regenerateExplosionTargets();
     });
-    explosionDistFolder.add(guiControls, 'explosionCenterMode', ['camera', 'tree']).name('Center Mode').onChange(val => {
+    explosionDistFolder.add(guiControls, 'explosionCenterMode', ['camera', 'tree', 'pointer']).name('Center Mode').onChange(val => {
         CONFIG.explosionCenterMode = val;
+        regenerateExplosionTargets();
     });
     explosionDistFolder.add(guiControls, 'explosionOffsetX', -50, 50).name('Offset X').onChange(val => {
         CONFIG.explosionOffsetX = val;
+        regenerateExplosionTargets();
     });
     explosionDistFolder.add(guiControls, 'explosionOffsetY', -50, 50).name('Offset Y').onChange(val => {
         CONFIG.explosionOffsetY = val;
+        regenerateExplosionTargets();
     });
     explosionDistFolder.add(guiControls, 'explosionOffsetZ', -50, 50).name('Offset Z').onChange(val => {
         CONFIG.explosionOffsetZ = val;
+        regenerateExplosionTargets();
+    });
+
+    // Formation parameters folder is rebuilt whenever the formation changes
+    let formationParamsFolder = null;
+    function createFormationParamsGUI(formationName) {
+        if (formationParamsFolder) {
+            explosionDistFolder.removeFolder(formationParamsFolder);
+            formationParamsFolder = null;
+        }
+        const params = getFormation(formationName).params;
+        if (Object.keys(params).length === 0) return;
+        formationParamsFolder = explosionDistFolder.addFolder('Formation Parameters');
+
+        const formations = CONFIG.animation.explosionDistribution.formations;
+        formations[formationName] = getFormationParams(CONFIG, formationName);
+
+        Object.entries(params).forEach(([key, meta]) => {
+            formationParamsFolder.add(formations[formationName], key, meta.min, meta.max, meta.step)
+                .name(meta.label)
+                .onChange(() => regenerateExplosionTargets());
+        });
+        formationParamsFolder.open();
+    }
+    createFormationParamsGUI(CONFIG.explosionFormation);
+
+    // Image Morph
+    const morphFolder = animationFolder.addFolder('Image Morph');
+    morphFolder.add(guiControls, 'morphOnExplosion').name('Morph on Click').onChange(val => {
+        CONFIG.morphOnExplosion = val;
+    });
+    morphFolder.add(guiControls, 'morphSource', ['auto', 'alpha', 'luminance']).name('Sample By').onChange(val => {
+        CONFIG.animation.morph.source = val;
+    });
+    morphFolder.add(guiControls, 'morphThreshold', 0, 1, 0.01).name('Threshold').onChange(val => {
+        CONFIG.animation.morph.threshold = val;
+    });
+    morphFolder.add(guiControls, 'morphInvert').name('Invert').onChange(val => {
+        CONFIG.animation.morph.invert = val;
+    });
+    morphFolder.add(guiControls, 'morphColorBlend', 0, 1, 0.01).name('Pixel Colors').onChange(val => {
+        CONFIG.animation.morph.colorBlend = val;
     });
 
+    guiControls.morphToCurrentImage = function() {
+        const texture = getCurrentShowcaseImage();
+        if (!texture) {
+            console.warn('No showcase image loaded to morph into');
+            return;
+        }
+        morphToImage(texture.image);
+    };
+    morphFolder.add(guiControls, 'morphToCurrentImage').name('Morph to Current Image');
+
+    // Hidden file input behind the upload button
+    const morphFileInput = document.createElement('input');
+    morphFileInput.type = 'file';
+    morphFileInput.accept = 'image/*';
+    morphFileInput.style.display = 'none';
+    dom.getAppBody().appendChild(morphFileInput);
+    morphFileInput.addEventListener('change', async () => {
+        const file = morphFileInput.files[0];
+        morphFileInput.value = '';
+        if (!file) return;
+        const texture = await loadImageFile(file);
+        if (texture) {
+            morphToImage(texture.image);
+        }
+    });
+
+    guiControls.uploadMorphImage = function() {
+        morphFileInput.click();
+    };
+    morphFolder.add(guiControls, 'uploadMorphImage').name('Upload Image...');
+
     // ========================================
     // 4. RENDERING & VISUALS
     // ========================================
@@ -353,15 +645,11 @@ export function createGUI(CONFIG, context, callbacks) {
     const envFolder = renderingFolder.addFolder('Environment');
     envFolder.addColor(guiControls, 'envTopColor').name('Sky Top').onChange(val => {
         CONFIG.environmentMap.topColor = stringToHex(val);
-        const envMap = createEnvironmentMap(renderer, CONFIG);
-        scene.environment = envMap;
-        state.envMap = envMap;
+        replaceEnvironmentMap();
     });
     envFolder.addColor(guiControls, 'envBottomColor').name('Sky Bottom').onChange(val => {
         CONFIG.environmentMap.bottomColor = stringToHex(val);
-        const envMap = createEnvironmentMap(renderer, CONFIG);
-        scene.environment = envMap;
-        state.envMap = envMap;
+        replaceEnvironmentMap();
     });
 
     // Lighting
@@ -455,9 +743,7 @@ export function createGUI(CONFIG, context, callbacks) {
 
     // Set initial tree particles visibility based on config
     const initialHasTestObjects = testObjectGroups.reduce((sum, g) => sum + g.count, 0) > 0;
-    particles.forEach(p => {
-        p.visible = CONFIG.showTreeParticles && !initialHasTestObjects;
-    });
+    setParticlesVisible(particles, CONFIG.showTreeParticles && !initialHasTestObjects);
 
     visibilityFolder.add(guiControls, 'showTreeParticles')
         .name('Show Tree Particles')
@@ -465,9 +751,7 @@ export function createGUI(CONFIG, context, callbacks) {
             CONFIG.showTreeParticles = val;
             // Only show tree particles if enabled AND no test objects are active
             const hasTestObjects = testObjectGroups.reduce((sum, g) => sum + g.count, 0) > 0;
-            particles.forEach(p => {
-                p.visible = val && !hasTestObjects;
-            });
+            setParticlesVisible(particles, val && !hasTestObjects);
         });
 
     // Set initial FPS counter visibility based on config
@@ -490,6 +774,12 @@ export function createGUI(CONFIG, context, callbacks) {
         .onChange(val => {
             CONFIG.uncapFPS = val;
         });
+    performanceFolder.add(guiControls, 'gpuAnimation')
+        .name('GPU Animation')
+        .onChange(val => {
+            CONFIG.gpuAnimation = val;
+            rebuildAllParticles();
+        });
 
     visibilityFolder.open();
 
@@ -526,6 +816,15 @@ export function createGUI(CONFIG, context, callbacks) {
         CONFIG.showcase.displayMode = val;
     });
 
+    // Linked ornaments - edited in place on CONFIG
+    const linkedFolder = showcaseFolder.addFolder('Linked Ornaments');
+    const { linked } = CONFIG.showcase;
+    linkedFolder.add(linked, 'enabled').name('Enabled').onChange(() => relinkOrnaments());
+    linkedFolder.add(linked, 'count', 0, 200, 1).name('Count (0 = per image)').onChange(() => relinkOrnaments());
+    linkedFolder.add(linked, 'zoomDistance', 5, 100, 1).name('Zoom Distance');
+    linkedFolder.add(linked, 'boxScale', 0.1, 1, 0.05).name('Box Scale');
+    linkedFolder.add(linked, 'boxOffset', 0, 40, 1).name('Box Offset');
+
     // === TEST OBJECTS (DEBUG) ===
     const testObjectsFolder = gui.addFolder('Test Objects (Debug)');
 
@@ -650,5 +949,13 @@ export function createGUI(CONFIG, context, callbacks) {
 
     testObjectsFolder.open();
 
-    return { gui, guiControls };
+    // The tree is being taken down: drop the panel and anything still pending
+    function disposeGUI() {
+        if (rebuildTimeout) clearTimeout(rebuildTimeout);
+        gui.destroy();
+        gui.domElement.remove();
+        morphFileInput.remove();
+    }
+
+    return { gui, guiControls, disposeGUI };
 }
@@ -1,307 +1,399 @@
 // Settings and password modal logic
-import { setDeviceOrientationEnabled, isDeviceOrientationEnabled, requestDeviceOrientationPermission } from '../interaction/mouse.js';
 
-let settingsAutoCloseTimer = null;
-let settingsCountdown = 10;
+// `context`: the tree's mouse tracking (device orientation) and dom. `callbacks`: switchImageSet(id),
+// loadEncryptedImageSet(set, password) and getCurrentImageSet()
+export function createModals(CONFIG, imageSets, context, callbacks) {
+    const { mouse, dom } = context;
 
-// These will be set via init
-let availableImageSets = [];
-let currentImageSet = null;
-let CONFIG = null;
-let switchImageSetFn = null;
-let loadEncryptedImageSetFn = null;
+    let settingsAutoCloseTimer = null;
+    let settingsCountdown = 10;
 
-export function initModals(config, imageSets, callbacks) {
-    CONFIG = config;
-    availableImageSets = imageSets;
-    switchImageSetFn = callbacks.switchImageSet;
-    loadEncryptedImageSetFn = callbacks.loadEncryptedImageSet;
-    currentImageSet = callbacks.getCurrentImageSet?.() || null;
+    let availableImageSets = imageSets;
+    let currentImageSet = callbacks.getCurrentImageSet?.() || null;
+    const switchImageSetFn = callbacks.switchImageSet;
+    const loadEncryptedImageSetFn = callbacks.loadEncryptedImageSet;
 
     setupPasswordModalListeners();
     setupSettingsModalListeners();
-}
+    setupHelpModalListeners();
 
-export function updateImageSets(imageSets, current) {
-    availableImageSets = imageSets;
-    currentImageSet = current;
-}
+    function updateImageSets(imageSets, current) {
+        availableImageSets = imageSets;
+        currentImageSet = current;
+    }
 
-export function setCurrentImageSet(set) {
-    currentImageSet = set;
-}
+    function setCurrentImageSet(set) {
+        currentImageSet = set;
+    }
 
-export function showSettingsModal(withCountdown = false) {
-    const modal = document.getElementById('settings-modal');
-    const select = document.getElementById('settings-image-set');
-
-    // Populate dropdown from availableImageSets
-    select.innerHTML = '';
-    availableImageSets.forEach(set => {
-        const option = document.createElement('option');
-        option.value = set.id;
-        option.textContent = set.name;
-        if (currentImageSet && currentImageSet.id === set.id) {
-            option.selected = true;
-        }
-        select.appendChild(option);
-    });
+    function showSettingsModal(withCountdown = false) {
+        // Kiosk displays never show settings
+        if (CONFIG.interaction.kiosk.enabled) return;
+
+        const modal = dom.getElement('settings-modal');
+        const select = dom.getElement('settings-image-set');
+
+        // Populate dropdown from availableImageSets
+        select.innerHTML = '';
+        availableImageSets.forEach(set => {
+            const option = document.createElement('option');
+            option.value = set.id;
+            option.textContent = set.name;
+            if (currentImageSet && currentImageSet.id === set.id) {
+                option.selected = true;
+            }
+            select.appendChild(option);
+        });
 
-    // Sync reassemble checkbox with current config
-    document.getElementById('settings-reassemble').checked = CONFIG.reassembleOnClick;
+        // Sync reassemble checkbox with current config
+        dom.getElement('settings-reassemble').checked = CONFIG.reassembleOnClick;
 
-    // Sync tilt parallax checkbox
-    document.getElementById('settings-tilt-parallax').checked = isDeviceOrientationEnabled();
+        // Sync orbit mode checkbox
+        dom.getElement('settings-orbit').checked = CONFIG.interactionMode === 'orbit';
 
-    // Hide password row when opening modal
-    hideSettingsPasswordRow();
+        // Sync tilt parallax checkbox
+        dom.getElement('settings-tilt-parallax').checked = mouse.isDeviceOrientationEnabled();
 
-    const closeBtn = document.getElementById('settings-close');
+        // Hide password row when opening modal
+        hideSettingsPasswordRow();
 
-    // Only start auto-close countdown on initial page load
-    if (withCountdown) {
-        settingsCountdown = CONFIG.settingsAutoCloseSeconds || 5;
-        closeBtn.textContent = `Begin (${settingsCountdown}s)`;
+        const closeBtn = dom.getElement('settings-close');
 
-        settingsAutoCloseTimer = setInterval(() => {
-            settingsCountdown--;
-            if (settingsCountdown <= 0) {
-                hideSettingsModal();
-            } else {
-                closeBtn.textContent = `Begin (${settingsCountdown}s)`;
-            }
-        }, 1000);
-    } else {
-        closeBtn.textContent = 'Save';
-    }
-
-    // Set CSS variable for fade duration
-    const fadeDuration = CONFIG.modalFadeDuration || 300;
-    modal.style.setProperty('--modal-fade-duration', `${fadeDuration}ms`);
+        // Only start auto-close countdown on initial page load
+        if (withCountdown) {
+            settingsCountdown = CONFIG.settingsAutoCloseSeconds || 5;
+            closeBtn.textContent = `Begin (${settingsCountdown}s)`;
 
-    // Show modal with fade-in
-    modal.classList.add('fade-in');
-    modal.classList.remove('hidden', 'fade-out');
-    // Force reflow then remove fade-in to trigger transition
-    modal.offsetHeight;
-    modal.classList.remove('fade-in');
-}
+            settingsAutoCloseTimer = setInterval(() => {
+                settingsCountdown--;
+                if (settingsCountdown <= 0) {
+                    hideSettingsModal();
+                } else {
+                    closeBtn.textContent = `Begin (${settingsCountdown}s)`;
+                }
+            }, 1000);
+        } else {
+            closeBtn.textContent = 'Save';
+        }
 
-export function hideSettingsModal() {
-    const modal = document.getElementById('settings-modal');
-    const fadeDuration = CONFIG.modalFadeDuration || 300;
+        // Set CSS variable for fade duration
+        const fadeDuration = CONFIG.modalFadeDuration || 300;
+        modal.style.setProperty('--modal-fade-duration', `${fadeDuration}ms`);
 
-    if (settingsAutoCloseTimer) {
-        clearInterval(settingsAutoCloseTimer);
-        settingsAutoCloseTimer = null;
+        // Show modal with fade-in
+        modal.classList.add('fade-in');
+        modal.classList.remove('hidden', 'fade-out');
+        // Force reflow then remove fade-in to trigger transition
+        modal.offsetHeight;
+        modal.classList.remove('fade-in');
     }
 
-    // Fade out then hide
-    modal.classList.add('fade-out');
-    setTimeout(() => {
-        modal.classList.add('hidden');
-        modal.classList.remove('fade-out');
-    }, fadeDuration);
-}
+    function hideSettingsModal() {
+        const modal = dom.getElement('settings-modal');
+        const fadeDuration = CONFIG.modalFadeDuration || 300;
 
-export function cancelSettingsAutoClose() {
-    if (settingsAutoCloseTimer) {
-        clearInterval(settingsAutoCloseTimer);
-        settingsAutoCloseTimer = null;
-        // Update button text when countdown is cancelled
-        document.getElementById('settings-close').textContent = 'Save';
+        if (settingsAutoCloseTimer) {
+            clearInterval(settingsAutoCloseTimer);
+            settingsAutoCloseTimer = null;
+        }
+
+        // Fade out then hide
+        modal.classList.add('fade-out');
+        setTimeout(() => {
+            modal.classList.add('hidden');
+            modal.classList.remove('fade-out');
+        }, fadeDuration);
     }
-}
 
-// Settings password row functions
-export function showSettingsPasswordRow(set) {
-    const row = document.getElementById('settings-password-row');
-    const setName = document.getElementById('settings-password-set-name');
-    const input = document.getElementById('settings-password');
-    const error = document.getElementById('settings-password-error');
-    const submitBtn = document.getElementById('settings-password-submit');
-
-    setName.textContent = set.name;
-    input.value = '';
-    error.classList.add('hidden');
-    submitBtn.textContent = 'Enter';
-    row.classList.remove('hidden');
-    input.focus();
-}
+    function cancelSettingsAutoClose() {
+        if (settingsAutoCloseTimer) {
+            clearInterval(settingsAutoCloseTimer);
+            settingsAutoCloseTimer = null;
+            // Update button text when countdown is cancelled
+            dom.getElement('settings-close').textContent = 'Save';
+        }
+    }
 
-export function hideSettingsPasswordRow() {
-    const row = document.getElementById('settings-password-row');
-    row.classList.add('hidden');
-}
+    // Settings password row functions
+    function showSettingsPasswordRow(set) {
+        const row = dom.getElement('settings-password-row');
+        const setName = dom.getElement('settings-password-set-name');
+        const input = dom.getElement('settings-password');
+        const error = dom.getElement('settings-password-error');
+        const submitBtn = dom.getElement('settings-password-submit');
+
+        setName.textContent = set.name;
+        input.value = '';
+        error.classList.add('hidden');
+        submitBtn.textContent = 'Enter';
+        row.classList.remove('hidden');
+        input.focus();
+    }
 
-// Password modal functions
-export function showPasswordPrompt(set) {
-    const modal = document.getElementById('password-modal');
-    const setNameEl = document.getElementById('password-set-name');
-    const input = document.getElementById('password-input');
-    const error = document.getElementById('password-error');
-
-    setNameEl.textContent = `Enter password for "${set.name}"`;
-    input.value = '';
-    error.classList.add('hidden');
-    modal.classList.remove('hidden');
-    input.focus();
-}
+    function hideSettingsPasswordRow() {
+        const row = dom.getElement('settings-password-row');
+        row.classList.add('hidden');
+    }
 
-export function hidePasswordPrompt() {
-    const modal = document.getElementById('password-modal');
-    modal.classList.add('hidden');
-}
+    // Password modal functions
+    function showPasswordPrompt(set) {
+        const modal = dom.getElement('password-modal');
+        const setNameEl = dom.getElement('password-set-name');
+        const input = dom.getElement('password-input');
+        const error = dom.getElement('password-error');
+
+        setNameEl.textContent = `Enter password for "${set.name}"`;
+        input.value = '';
+        error.classList.add('hidden');
+        modal.classList.remove('hidden');
+        input.focus();
+    }
 
-function setupPasswordModalListeners() {
-    document.getElementById('password-submit').addEventListener('click', async () => {
-        const input = document.getElementById('password-input');
-        const error = document.getElementById('password-error');
-        const password = input.value;
+    function hidePasswordPrompt() {
+        const modal = dom.getElement('password-modal');
+        modal.classList.add('hidden');
+    }
 
-        try {
-            await loadEncryptedImageSetFn(currentImageSet, password);
+    function setupPasswordModalListeners() {
+        dom.getElement('password-submit').addEventListener('click', async () => {
+            const input = dom.getElement('password-input');
+            const error = dom.getElement('password-error');
+            const password = input.value;
+
+            try {
+                await loadEncryptedImageSetFn(currentImageSet, password);
+                hidePasswordPrompt();
+            } catch (e) {
+                error.classList.remove('hidden');
+                console.warn('Decryption failed:', e);
+            }
+        });
+
+        dom.getElement('password-cancel').addEventListener('click', () => {
             hidePasswordPrompt();
-        } catch (e) {
-            error.classList.remove('hidden');
-            console.warn('Decryption failed:', e);
-        }
-    });
+        });
 
-    document.getElementById('password-cancel').addEventListener('click', () => {
-        hidePasswordPrompt();
-    });
+        dom.getElement('password-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                dom.getElement('password-submit').click();
+            }
+        });
+    }
 
-    document.getElementById('password-input').addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            document.getElementById('password-submit').click();
-        }
-    });
-}
+    function setupSettingsModalListeners() {
+        const settingsIcon = dom.getElement('settings-icon');
 
-function setupSettingsModalListeners() {
-    const settingsIcon = document.getElementById('settings-icon');
-
-    settingsIcon.addEventListener('mousedown', (e) => {
-        e.stopPropagation();
-    });
-
-    settingsIcon.addEventListener('touchstart', (e) => {
-        e.stopPropagation();
-    }, { passive: true });
-
-    settingsIcon.addEventListener('touchend', (e) => {
-        e.stopPropagation();
-        e.preventDefault(); // Prevent click from also firing
-        showSettingsModal();
-    });
-
-    settingsIcon.addEventListener('click', (e) => {
-        e.stopPropagation();
-        showSettingsModal();
-    });
-
-    const closeBtn = document.getElementById('settings-close');
-    closeBtn.addEventListener('click', () => {
-        hideSettingsModal();
-    });
-    closeBtn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        hideSettingsModal();
-    });
-
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            const modal = document.getElementById('settings-modal');
-            if (!modal.classList.contains('hidden')) {
-                hideSettingsModal();
-            }
-        }
-    });
+        settingsIcon.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
 
-    document.getElementById('settings-image-set').addEventListener('focus', () => {
-        cancelSettingsAutoClose();
-    });
+        settingsIcon.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        }, { passive: true });
 
-    document.getElementById('settings-image-set').addEventListener('change', async (e) => {
-        cancelSettingsAutoClose();
-        const set = availableImageSets.find(s => s.id === e.target.value);
-        if (!set) return;
+        settingsIcon.addEventListener('touchend', (e) => {
+            e.stopPropagation();
+            e.preventDefault(); // Prevent click from also firing
+            showSettingsModal();
+        });
 
-        // Always call switchImageSet to clear previous state
-        await switchImageSetFn(e.target.value);
-        currentImageSet = set;
+        settingsIcon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showSettingsModal();
+        });
 
-        if (set.encrypted) {
-            // Show password input inline
-            showSettingsPasswordRow(set);
-        } else {
-            hideSettingsPasswordRow();
-        }
-    });
-
-    // Prevent clicks/taps on settings modal from triggering tree explosion
-    const settingsModal = document.getElementById('settings-modal');
-    settingsModal.addEventListener('mousedown', (e) => {
-        e.stopPropagation();
-    });
-    settingsModal.addEventListener('touchstart', (e) => {
-        e.stopPropagation();
-    }, { passive: true });
-
-    // Cancel auto-close on any interaction with settings modal content
-    // Click on overlay (outside modal-content) dismisses the modal
-    document.getElementById('settings-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'settings-modal') {
-            // Clicked on overlay, dismiss modal
+        const closeBtn = dom.getElement('settings-close');
+        closeBtn.addEventListener('click', () => {
             hideSettingsModal();
-        } else {
-            // Clicked inside modal content, cancel auto-close
+        });
+        closeBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            hideSettingsModal();
+        });
+
+        dom.listen(dom.getInputTarget(), 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                const modal = dom.getElement('settings-modal');
+                if (!modal.classList.contains('hidden')) {
+                    hideSettingsModal();
+                }
+                if (isHelpModalOpen()) {
+                    hideHelpModal();
+                }
+            }
+        });
+
+        dom.getElement('settings-image-set').addEventListener('focus', () => {
             cancelSettingsAutoClose();
-        }
-    });
-
-    // Reassemble checkbox
-    document.getElementById('settings-reassemble').addEventListener('change', (e) => {
-        CONFIG.reassembleOnClick = e.target.checked;
-    });
-
-    // Tilt parallax checkbox
-    document.getElementById('settings-tilt-parallax').addEventListener('change', async (e) => {
-        if (e.target.checked) {
-            // Request permission when enabling
-            const granted = await requestDeviceOrientationPermission();
-            if (granted) {
-                setDeviceOrientationEnabled(true);
+        });
+
+        dom.getElement('settings-image-set').addEventListener('change', async (e) => {
+            cancelSettingsAutoClose();
+            const set = availableImageSets.find(s => s.id === e.target.value);
+            if (!set) return;
+
+            // Always call switchImageSet to clear previous state
+            await switchImageSetFn(e.target.value);
+            currentImageSet = set;
+
+            if (set.encrypted) {
+                // Show password input inline
+                showSettingsPasswordRow(set);
             } else {
-                // Permission denied, uncheck the box
-                e.target.checked = false;
+                hideSettingsPasswordRow();
             }
-        } else {
-            setDeviceOrientationEnabled(false);
-        }
-    });
-
-    // Settings password submit
-    document.getElementById('settings-password-submit').addEventListener('click', async () => {
-        const input = document.getElementById('settings-password');
-        const error = document.getElementById('settings-password-error');
-        const submitBtn = document.getElementById('settings-password-submit');
-        const password = input.value;
-
-        try {
-            await loadEncryptedImageSetFn(currentImageSet, password);
-            error.classList.add('hidden');
-            submitBtn.textContent = '\u2713';
-        } catch (e) {
-            error.classList.remove('hidden');
-        }
-    });
+        });
+
+        // Prevent clicks/taps on settings modal from triggering tree explosion
+        const settingsModal = dom.getElement('settings-modal');
+        settingsModal.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        settingsModal.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        }, { passive: true });
+
+        // Cancel auto-close on any interaction with settings modal content
+        // Click on overlay (outside modal-content) dismisses the modal
+        dom.getElement('settings-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'settings-modal') {
+                // Clicked on overlay, dismiss modal
+                hideSettingsModal();
+            } else {
+                // Clicked inside modal content, cancel auto-close
+                cancelSettingsAutoClose();
+            }
+        });
+
+        // Reassemble checkbox
+        dom.getElement('settings-reassemble').addEventListener('change', (e) => {
+            CONFIG.reassembleOnClick = e.target.checked;
+        });
+
+        // Orbit mode checkbox - the orbit controller picks the change up on the next frame
+        dom.getElement('settings-orbit').addEventListener('change', (e) => {
+            CONFIG.interactionMode = e.target.checked ? 'orbit' : 'parallax';
+        });
+
+        // Tilt parallax checkbox
+        dom.getElement('settings-tilt-parallax').addEventListener('change', async (e) => {
+            if (e.target.checked) {
+                // Request permission when enabling
+                const granted = await mouse.requestDeviceOrientationPermission();
+                if (granted) {
+                    mouse.setDeviceOrientationEnabled(true);
+                } else {
+                    // Permission denied, uncheck the box
+                    e.target.checked = false;
+                }
+            } else {
+                mouse.setDeviceOrientationEnabled(false);
+            }
+        });
+
+        // Settings password submit
+        dom.getElement('settings-password-submit').addEventListener('click', async () => {
+            const input = dom.getElement('settings-password');
+            const error = dom.getElement('settings-password-error');
+            const submitBtn = dom.getElement('settings-password-submit');
+            const password = input.value;
+
+            try {
+                await loadEncryptedImageSetFn(currentImageSet, password);
+                error.classList.add('hidden');
+                submitBtn.textContent = '\u2713';
+            } catch (e) {
+                error.classList.remove('hidden');
+            }
+        });
 
-    // Settings password enter key
-    document.getElementById('settings-password').addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            document.getElementById('settings-password-submit').click();
-        }
-    });
+        // Settings password enter key
+        dom.getElement('settings-password').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                dom.getElement('settings-password-submit').click();
+            }
+        });
+    }
+
+    // Help overlay - `rows` is [{ keys: 'Space, Enter', label: 'Explode / reassemble' }, ...]
+    function showHelpModal(rows) {
+        const modal = dom.getElement('help-modal');
+        const table = dom.getElement('help-bindings');
+
+        table.innerHTML = '';
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const keys = document.createElement('td');
+            const label = document.createElement('td');
+            keys.className = 'help-keys';
+            keys.textContent = row.keys;
+            label.textContent = row.label;
+            tr.append(keys, label);
+            table.appendChild(tr);
+        });
+
+        modal.classList.remove('hidden');
+    }
+
+    function hideHelpModal() {
+        dom.getElement('help-modal').classList.add('hidden');
+    }
+
+    function isHelpModalOpen() {
+        return !dom.getElement('help-modal').classList.contains('hidden');
+    }
+
+    function isSettingsModalOpen() {
+        return !dom.getElement('settings-modal').classList.contains('hidden');
+    }
+
+    function isPasswordPromptOpen() {
+        return !dom.getElement('password-modal').classList.contains('hidden');
+    }
+
+    function setupHelpModalListeners() {
+        const modal = dom.getElement('help-modal');
+
+        dom.getElement('help-close').addEventListener('click', () => {
+            hideHelpModal();
+        });
+
+        // Clicking the overlay closes it without exploding the tree underneath
+        modal.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            hideHelpModal();
+        });
+        modal.addEventListener('touchstart', (e) => {
+            e.stopPropagation();
+        }, { passive: true });
+        modal.addEventListener('touchend', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            hideHelpModal();
+        });
+    }
+
+    // Stop the startup countdown (the tree is being taken down)
+    function disposeModals() {
+        if (settingsAutoCloseTimer) clearInterval(settingsAutoCloseTimer);
+        settingsAutoCloseTimer = null;
+    }
+
+    return {
+        updateImageSets,
+        setCurrentImageSet,
+        showSettingsModal,
+        hideSettingsModal,
+        cancelSettingsAutoClose,
+        showSettingsPasswordRow,
+        hideSettingsPasswordRow,
+        showPasswordPrompt,
+        hidePasswordPrompt,
+        showHelpModal,
+        hideHelpModal,
+        isHelpModalOpen,
+        isSettingsModalOpen,
+        isPasswordPromptOpen,
+        disposeModals,
+    };
 }